@@ -0,0 +1,106 @@
+/**
+ * Adapters that let non-FileSystemHandle sources (dropped folders, or an
+ * `<input webkitdirectory>` in browsers without `showDirectoryPicker`) be
+ * walked by `scanArchiveDirectory`.
+ * They expose the small subset of the File System Access API the scanner
+ * uses: `kind`, `name`, `entries()` for directories and `getFile()` for files.
+ * Adapters cannot be persisted in IndexedDB and need no permission prompt.
+ */
+
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function wrapFileEntry(entry) {
+  return {
+    kind: 'file',
+    name: entry.name,
+    persistable: false,
+    getFile: () => new Promise((resolve, reject) => entry.file(resolve, reject))
+  };
+}
+
+/**
+ * Wrap a `FileSystemDirectoryEntry` (from `DataTransferItem.webkitGetAsEntry`)
+ * so it can be scanned like a directory handle.
+ * @param {FileSystemDirectoryEntry} entry
+ */
+export function wrapDirectoryEntry(entry) {
+  return {
+    kind: 'directory',
+    name: entry.name,
+    persistable: false,
+    async *entries() {
+      const reader = entry.createReader();
+      // readEntries returns results in batches and an empty batch at the end.
+      for (;;) {
+        const batch = await readEntries(reader);
+        if (batch.length === 0) break;
+        for (const child of batch) {
+          if (child.isDirectory) {
+            yield [child.name, wrapDirectoryEntry(child)];
+          } else if (child.isFile) {
+            yield [child.name, wrapFileEntry(child)];
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Whether the browser can open folders through the File System Access API.
+ * @returns {boolean}
+ */
+export function supportsDirectoryPicker() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+function wrapFile(file) {
+  return {
+    kind: 'file',
+    name: file.name,
+    persistable: false,
+    getFile: () => Promise.resolve(file)
+  };
+}
+
+function createDirectoryNode(name) {
+  const children = new Map();
+  return {
+    kind: 'directory',
+    name,
+    persistable: false,
+    children,
+    async *entries() {
+      yield* children.entries();
+    }
+  };
+}
+
+/**
+ * Build a directory adapter from the FileList of an `<input webkitdirectory>`.
+ * The tree is rebuilt from each file's `webkitRelativePath`; the first path
+ * segment (the chosen folder itself) becomes the root. The root is flagged as
+ * a `snapshot`: files saved after the selection will not show up on a rescan.
+ * @param {FileList | File[]} fileList
+ */
+export function createFileListDirectory(fileList) {
+  const files = Array.from(fileList ?? []);
+  const rootName = files[0]?.webkitRelativePath?.split('/')[0] || 'Selected folder';
+  const root = createDirectoryNode(rootName);
+  root.snapshot = true;
+  for (const file of files) {
+    const segments = (file.webkitRelativePath || file.name).split('/');
+    if (segments.length > 1) segments.shift();
+    let node = root;
+    for (const segment of segments.slice(0, -1)) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, createDirectoryNode(segment));
+      }
+      node = node.children.get(segment);
+    }
+    node.children.set(file.name, wrapFile(file));
+  }
+  return root;
+}
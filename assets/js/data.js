@@ -13,6 +13,13 @@ const THUMB_KEYS = [
   'poster'
 ];
 const URL_KEYS = ['href', 'url', 'pageUrl', 'link'];
+// Signed URLs stop working once either the SAS itself (se) or its signing key (ske) expires.
+const SAS_EXPIRY_PARAMS = ['se', 'ske'];
+const SAS_KEY_START_PARAM = 'skt';
+export const EXPIRING_SOON_MS = 48 * 60 * 60 * 1000;
+const ULID_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const TASK_ID_REGEX = /task_([0-9a-hjkmnp-tv-z]{26})/i;
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v'];
 const PROMPT_KEYS = [
   'prompt',
   'Prompt',
@@ -48,6 +55,166 @@ export function buildPageUrl(id) {
   return `https://sora.chatgpt.com/g/${id}`;
 }
 
+function parseSasTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parse the Azure SAS parameters of a signed URL into timestamps.
+ * @param {string | null | undefined} url
+ * @returns {{ expiresAt: number | null, signedAt: number | null }}
+ */
+export function parseSignedUrlExpiry(url) {
+  if (!url || typeof url !== 'string') return { expiresAt: null, signedAt: null };
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (error) {
+    return { expiresAt: null, signedAt: null };
+  }
+  let expiresAt = null;
+  for (const key of SAS_EXPIRY_PARAMS) {
+    const time = parseSasTimestamp(params.get(key));
+    if (time !== null && (expiresAt === null || time < expiresAt)) {
+      expiresAt = time;
+    }
+  }
+  return { expiresAt, signedAt: parseSasTimestamp(params.get(SAS_KEY_START_PARAM)) };
+}
+
+/**
+ * Classify how close a normalized item's signed thumbnail URL is to expiring.
+ * @param {{ thumbExpiresAt?: number | null }} item
+ * @param {number} [now]
+ * @returns {'expired' | 'expiring' | 'valid' | 'unknown'}
+ */
+export function getExpiryState(item, now = Date.now()) {
+  const expiresAt = item?.thumbExpiresAt;
+  if (typeof expiresAt !== 'number') return 'unknown';
+  if (expiresAt <= now) return 'expired';
+  if (expiresAt - now <= EXPIRING_SOON_MS) return 'expiring';
+  return 'valid';
+}
+
+/**
+ * Decode the millisecond timestamp embedded in the first ten characters of a ULID.
+ * @param {string} ulid
+ * @returns {number | null}
+ */
+function decodeUlidTime(ulid) {
+  if (!ulid || ulid.length < 10) return null;
+  let time = 0;
+  for (const char of ulid.slice(0, 10).toLowerCase()) {
+    const value = ULID_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    time = time * 32 + value;
+  }
+  return time;
+}
+
+/**
+ * Estimate when a generation was created. The `task_` id in the thumbnail URL
+ * is preferred; the generation id itself is a ULID and serves as a fallback.
+ * @param {string} id
+ * @param {string | null} thumbUrl
+ * @returns {number | null}
+ */
+export function extractCreatedAt(id, thumbUrl) {
+  const taskMatch = typeof thumbUrl === 'string' ? thumbUrl.match(TASK_ID_REGEX) : null;
+  if (taskMatch) {
+    const time = decodeUlidTime(taskMatch[1]);
+    if (time !== null) return time;
+  }
+  const genId = extractGenId(id);
+  return genId ? decodeUlidTime(genId.slice(4)) : null;
+}
+
+/**
+ * Guess whether an item is a video or an image from its offline files,
+ * sidecar metadata or the layout of its thumbnail URL.
+ * @param {{ thumbUrl?: string | null }} item
+ * @param {{ files: Array<{ name: string }>, meta?: any } | undefined} offlineEntry
+ * @returns {'video' | 'image' | 'unknown'}
+ */
+export function inferMediaKind(item, offlineEntry) {
+  const files = offlineEntry?.files ?? [];
+  if (files.length > 0) {
+    const hasVideo = files.some((file) => VIDEO_EXTENSIONS.includes(getFileExtension(file.name)));
+    return hasVideo ? 'video' : 'image';
+  }
+  const metaKind = offlineEntry?.meta?.Kind;
+  if (metaKind === 'video' || metaKind === 'image') return metaKind;
+  const thumbUrl = item?.thumbUrl || '';
+  if (/%2Fvideos%2F|\/videos\//i.test(thumbUrl)) return 'video';
+  if (/_img_\d+\.|%2Fimg_\d+\./i.test(thumbUrl)) return 'image';
+  return 'unknown';
+}
+
+/**
+ * Lowercase extension of a filename or URL path, without the dot.
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function getFileExtension(name) {
+  if (!name) return '';
+  const path = name.split(/[?#]/)[0];
+  const basename = path.split(/%2F|\//i).pop() || '';
+  return basename.includes('.') ? basename.split('.').pop().toLowerCase() : '';
+}
+
+const MEDIA_KIND_ORDER = { video: 0, image: 1, unknown: 2 };
+
+/**
+ * Return a sorted copy of normalized items. Items lacking the sort key keep
+ * their index order after the ones that have it.
+ * - `index`: index order
+ * - `oldest` / `newest`: by `createdAt`
+ * - `expiring`: soonest-expiring signed thumbnail URL first
+ * - `videos`: videos, then images, then unknown kinds
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} items
+ * @param {'index' | 'oldest' | 'newest' | 'expiring' | 'videos'} order
+ * @param {Map<string, any>} [byId] archive entries, used to infer media kinds
+ */
+export function sortItems(items, order, byId = new Map()) {
+  const keyed = items.map((item, position) => {
+    let key = null;
+    if (order === 'oldest' || order === 'newest') {
+      key = typeof item.createdAt === 'number' ? item.createdAt : null;
+      if (key !== null && order === 'newest') key = -key;
+    } else if (order === 'expiring') {
+      key = typeof item.thumbExpiresAt === 'number' ? item.thumbExpiresAt : null;
+    } else if (order === 'videos') {
+      key = MEDIA_KIND_ORDER[inferMediaKind(item, byId.get(item.id))];
+    }
+    return { item, position, key };
+  });
+  if (order !== 'index') {
+    keyed.sort((a, b) => {
+      if (a.key === b.key) return a.position - b.position;
+      if (a.key === null) return 1;
+      if (b.key === null) return -1;
+      return a.key - b.key || a.position - b.position;
+    });
+  }
+  return keyed.map((entry) => entry.item);
+}
+
+/**
+ * Format rows as RFC 4180 CSV. Fields containing commas, quotes or line
+ * breaks are quoted; `null` and `undefined` become empty fields.
+ * @param {Array<Array<string | number | null | undefined>>} rows
+ * @returns {string}
+ */
+export function formatCsv(rows) {
+  const formatField = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
 /**
  * Attempt to find a usable thumbnail URL on an arbitrary object.
  * @param {Record<string, any>} obj
@@ -107,7 +274,7 @@ function deepFindPrompt(obj, depth = 0) {
 /**
  * Normalize one index entry into the internal shape.
  * @param {any} entry
- * @returns {{ id: string, pageUrl: string, thumbUrl: string | null, prompt?: string, original: any } | null}
+ * @returns {{ id: string, pageUrl: string, thumbUrl: string | null, thumbExpiresAt: number | null, thumbSignedAt: number | null, createdAt: number | null, prompt?: string, original: any } | null}
  */
 export function normalizeIndexEntry(entry) {
   if (entry == null) return null;
@@ -115,10 +282,15 @@ export function normalizeIndexEntry(entry) {
   if (typeof entry === 'string') {
     const id = extractGenId(entry);
     if (!id) return null;
+    const thumbUrl = entry.startsWith('http') ? entry : null;
+    const expiry = parseSignedUrlExpiry(thumbUrl);
     return {
       id,
       pageUrl: buildPageUrl(id),
-      thumbUrl: entry.startsWith('http') ? entry : null,
+      thumbUrl,
+      thumbExpiresAt: expiry.expiresAt,
+      thumbSignedAt: expiry.signedAt,
+      createdAt: extractCreatedAt(id, thumbUrl),
       original: entry
     };
   }
@@ -140,11 +312,15 @@ export function normalizeIndexEntry(entry) {
 
     const thumbUrl = findThumb(entry);
     const prompt = findPrompt(entry) || undefined;
+    const expiry = parseSignedUrlExpiry(thumbUrl);
 
     return {
       id,
       pageUrl,
       thumbUrl: thumbUrl || null,
+      thumbExpiresAt: expiry.expiresAt,
+      thumbSignedAt: expiry.signedAt,
+      createdAt: extractCreatedAt(id, thumbUrl),
       prompt,
       original: entry
     };
@@ -153,6 +329,99 @@ export function normalizeIndexEntry(entry) {
   return null;
 }
 
+function stripAutoParam(url) {
+  if (typeof url !== 'string' || !url) return '';
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.delete('auto');
+    return parsed.toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Build a normalized item for an archive entry that has no index entry,
+ * using the fields the auto-saver writes into `.meta.json`.
+ * @param {string} id
+ * @param {{ meta?: any }} offlineEntry
+ * @returns {ReturnType<typeof normalizeIndexEntry> & { archiveOnly: true }}
+ */
+export function buildArchiveOnlyEntry(id, offlineEntry) {
+  const meta = offlineEntry?.meta && typeof offlineEntry.meta === 'object' ? offlineEntry.meta : {};
+  const sourceUrl = stripAutoParam(meta.SourceURL);
+  const assetUrl = typeof meta.AssetURL === 'string' ? meta.AssetURL : null;
+  const prompt = typeof meta.Prompt === 'string' && meta.Prompt.trim() ? meta.Prompt.trim() : undefined;
+  return {
+    id,
+    pageUrl: extractGenId(sourceUrl) === id ? sourceUrl : buildPageUrl(id),
+    thumbUrl: null,
+    thumbExpiresAt: null,
+    thumbSignedAt: null,
+    createdAt: extractCreatedAt(id, assetUrl),
+    prompt,
+    // The asset is the full-size media, not a thumbnail: keep it out of the
+    // thumb keys so a re-imported export does not cache whole videos.
+    original: { id, href: buildPageUrl(id), thumb: null, asset: assetUrl, prompt: prompt ?? null },
+    archiveOnly: true
+  };
+}
+
+/**
+ * Append archive entries that are missing from the index so the local
+ * folder can act as the source of truth.
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} items
+ * @param {Map<string, { files: any[], meta?: any }>} byId
+ * @returns {{ items: Array<ReturnType<typeof normalizeIndexEntry>>, archiveOnlyCount: number }}
+ */
+export function mergeArchiveOnlyItems(items, byId) {
+  const known = new Set(items.map((item) => item.id));
+  const orphans = [];
+  for (const [id, entry] of byId) {
+    if (known.has(id)) continue;
+    if (entry.files.length === 0 && !entry.meta) continue;
+    orphans.push(buildArchiveOnlyEntry(id, entry));
+  }
+  // Newest first, matching the order of the library scrape.
+  orphans.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+  return { items: orphans.length > 0 ? [...items, ...orphans] : items, archiveOnlyCount: orphans.length };
+}
+
+/**
+ * Convert one gallery item back into the index file schema. Fields from the
+ * original entry are kept as-is; recovered prompts and local file details are
+ * filled in alongside them.
+ * @param {ReturnType<typeof normalizeIndexEntry> & { archiveOnly?: boolean }} item
+ * @param {{ files: Array<{ name: string }>, paths?: string[], meta?: any } | undefined} offlineEntry
+ * @returns {Record<string, any>}
+ */
+export function buildExportEntry(item, offlineEntry) {
+  const original = item.original && typeof item.original === 'object' && !Array.isArray(item.original)
+    ? item.original
+    : { thumb: item.thumbUrl, href: item.pageUrl };
+  const files = offlineEntry?.files ?? [];
+  const prompt = resolvePrompt(item, offlineEntry?.meta);
+  const entry = { ...original };
+  if (!('id' in entry)) entry.id = item.id;
+  if (!findPageUrl(entry)) entry.href = item.pageUrl;
+  if (!findThumb(entry) && item.thumbUrl) entry.thumb = item.thumbUrl;
+  entry.prompt = prompt || entry.prompt || null;
+  entry.offline = files.length > 0;
+  entry.localFiles = files.map((file, index) => offlineEntry.paths?.[index] ?? file.name);
+  if (item.archiveOnly) entry.archiveOnly = true;
+  return entry;
+}
+
+/**
+ * Build a `sora_gallery_index.json` compatible array from gallery items.
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} items
+ * @param {Map<string, any>} byId
+ * @returns {Array<Record<string, any>>}
+ */
+export function buildIndexExport(items, byId) {
+  return items.map((item) => buildExportEntry(item, byId.get(item.id)));
+}
+
 /**
  * Normalize the raw index file contents.
  * @param {any} raw
@@ -207,6 +476,116 @@ export async function parseIndexFile(file) {
   }
 }
 
+function thumbFreshness(item) {
+  return item.thumbExpiresAt ?? item.thumbSignedAt ?? (item.thumbUrl ? 0 : -1);
+}
+
+function toOriginalObject(item) {
+  if (item.original && typeof item.original === 'object' && !Array.isArray(item.original)) {
+    return item.original;
+  }
+  return { thumb: item.thumbUrl, href: item.pageUrl };
+}
+
+/**
+ * Combine two normalized entries that share a generation id.
+ * The entry with the newer signed thumbnail wins field conflicts, except that
+ * a non-empty prompt is never replaced by a missing one.
+ * @param {ReturnType<typeof normalizeIndexEntry>} existing
+ * @param {ReturnType<typeof normalizeIndexEntry>} incoming
+ * @returns {{ item: ReturnType<typeof normalizeIndexEntry>, changed: boolean }}
+ */
+export function mergeIndexEntries(existing, incoming) {
+  const incomingIsNewer = thumbFreshness(incoming) > thumbFreshness(existing);
+  const [newer, older] = incomingIsNewer ? [incoming, existing] : [existing, incoming];
+  const prompt = existing.prompt || incoming.prompt;
+  const original = { ...toOriginalObject(older), ...toOriginalObject(newer) };
+  if (prompt && findPrompt(original) !== prompt) {
+    original.prompt = prompt;
+  }
+  const merged = normalizeIndexEntry(original);
+  const item = { ...merged, id: existing.id, original };
+  const changed = item.thumbUrl !== existing.thumbUrl || item.prompt !== existing.prompt;
+  return { item, changed };
+}
+
+/**
+ * Merge normalized items into an existing list, keyed by generation id.
+ * Existing order is preserved and new ids are appended in input order.
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} base
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} incoming
+ * @returns {{ items: Array<ReturnType<typeof normalizeIndexEntry>>, added: number, updated: number, duplicates: number }}
+ */
+export function mergeIndexItems(base, incoming) {
+  const items = [...base];
+  const positions = new Map(items.map((item, index) => [item.id, index]));
+  let added = 0;
+  let updated = 0;
+  let duplicates = 0;
+  for (const item of incoming) {
+    const position = positions.get(item.id);
+    if (position === undefined) {
+      positions.set(item.id, items.length);
+      items.push(item);
+      added += 1;
+      continue;
+    }
+    const { item: merged, changed } = mergeIndexEntries(items[position], item);
+    if (changed) {
+      items[position] = merged;
+      updated += 1;
+    } else {
+      duplicates += 1;
+    }
+  }
+  return { items, added, updated, duplicates };
+}
+
+/**
+ * Read several index files and merge them, optionally on top of an already loaded index.
+ * Files that fail to parse are reported and skipped rather than aborting the whole merge.
+ * @param {Iterable<File>} files
+ * @param {Array<ReturnType<typeof normalizeIndexEntry>>} [base]
+ * @returns {Promise<{ items: Array<ReturnType<typeof normalizeIndexEntry>>, added: number, updated: number, duplicates: number, skipped: number, fileCount: number, errors: string[] }>}
+ */
+export async function parseIndexFiles(files, base = []) {
+  let result = { items: base, added: 0, updated: 0, duplicates: 0 };
+  let skipped = 0;
+  let fileCount = 0;
+  const errors = [];
+  for (const file of files) {
+    try {
+      const parsed = await parseIndexFile(file);
+      const merged = mergeIndexItems(result.items, parsed.items);
+      result = {
+        items: merged.items,
+        added: result.added + merged.added,
+        updated: result.updated + merged.updated,
+        duplicates: result.duplicates + merged.duplicates
+      };
+      skipped += parsed.skipped;
+      fileCount += 1;
+    } catch (error) {
+      errors.push(`${file.name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+  return { ...result, skipped, fileCount, errors };
+}
+
+/**
+ * Summarise a multi-file merge for the status line.
+ * @param {{ items: any[], added: number, updated: number, duplicates: number, skipped: number, fileCount: number, errors: string[] }} result
+ * @returns {string}
+ */
+export function describeIndexMerge(result) {
+  const noun = result.fileCount === 1 ? 'file' : 'files';
+  let message = `Loaded ${result.fileCount} ${noun}: ${result.items.length} items (${result.added} new, ${result.updated} updated, ${result.duplicates} duplicates, skipped ${result.skipped}).`;
+  if (result.errors.length > 0) {
+    message += ` Failed: ${result.errors.join('; ')}`;
+  }
+  return message;
+}
+
 /**
  * Attempt to fetch the default index file from the server.
  * @param {string} url
@@ -262,3 +641,316 @@ export function sanitizeForFilename(value) {
     .replace(/\s+/g, '_')
     .slice(0, 64);
 }
+
+const SEARCH_TEXT_FIELDS = ['prompt', 'id', 'url', 'meta'];
+const SEARCH_EXACT_FIELDS = ['kind', 'status', 'ext', 'expiry'];
+const SEARCH_DATE_FIELDS = ['date', 'created', 'before', 'after'];
+
+function tokenizeSearchQuery(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index += 1;
+      continue;
+    }
+    if (char === '|') {
+      tokens.push({ type: 'or' });
+      index += 1;
+      continue;
+    }
+
+    let negated = false;
+    if (char === '-' && index + 1 < text.length && !/[\s)]/.test(text[index + 1])) {
+      negated = true;
+      index += 1;
+    }
+    if (negated && text[index] === '(') {
+      tokens.push({ type: 'not' });
+      continue;
+    }
+
+    let field = null;
+    const fieldMatch = /^([a-z]+):(?=\S)/i.exec(text.slice(index));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      index += fieldMatch[0].length;
+    }
+
+    let value = '';
+    let phrase = false;
+    if (text[index] === '"') {
+      const close = text.indexOf('"', index + 1);
+      const stop = close === -1 ? text.length : close;
+      value = text.slice(index + 1, stop);
+      index = stop + 1;
+      phrase = true;
+    } else {
+      const start = index;
+      while (index < text.length && !/[\s()]/.test(text[index])) {
+        index += 1;
+      }
+      value = text.slice(start, index);
+    }
+
+    if (!negated && !field && !phrase && value === 'OR') {
+      tokens.push({ type: 'or' });
+      continue;
+    }
+    if (!negated && !field && !phrase && value === 'AND') {
+      continue;
+    }
+    if (!value && !field) continue;
+    tokens.push({ type: 'term', field, value, phrase, negated });
+  }
+  return tokens;
+}
+
+function startOfPeriod(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  if (day) {
+    return { start: new Date(+year, +month - 1, +day).getTime(), end: new Date(+year, +month - 1, +day + 1).getTime() };
+  }
+  if (month) {
+    return { start: new Date(+year, +month - 1, 1).getTime(), end: new Date(+year, +month, 1).getTime() };
+  }
+  return { start: new Date(+year, 0, 1).getTime(), end: new Date(+year + 1, 0, 1).getTime() };
+}
+
+/**
+ * Parse a date filter value into a half-open [from, to) millisecond range.
+ * Accepts `2025-10`, `2025-10-01..2025-11-01`, `..2025-10`, `>=2025-10-05`, `<2025`.
+ * @param {string} field
+ * @param {string} value
+ * @returns {{ from: number, to: number } | null}
+ */
+function parseDateRange(field, value) {
+  if (field === 'before') return parseDateRange('date', `<${value}`);
+  if (field === 'after') return parseDateRange('date', `>${value}`);
+
+  if (value.includes('..')) {
+    const [left, right] = value.split('..');
+    const from = left ? startOfPeriod(left) : null;
+    const to = right ? startOfPeriod(right) : null;
+    if ((left && !from) || (right && !to) || (!from && !to)) return null;
+    return { from: from ? from.start : -Infinity, to: to ? to.end : Infinity };
+  }
+
+  const comparison = /^(>=|<=|>|<)(.+)$/.exec(value);
+  if (comparison) {
+    const period = startOfPeriod(comparison[2]);
+    if (!period) return null;
+    switch (comparison[1]) {
+      case '>':
+        return { from: period.end, to: Infinity };
+      case '>=':
+        return { from: period.start, to: Infinity };
+      case '<':
+        return { from: -Infinity, to: period.start };
+      default:
+        return { from: -Infinity, to: period.end };
+    }
+  }
+
+  const period = startOfPeriod(value);
+  return period ? { from: period.start, to: period.end } : null;
+}
+
+function createTermNode(token) {
+  let node;
+  const value = token.value.toLowerCase();
+  const field = token.field;
+  if (field && SEARCH_DATE_FIELDS.includes(field)) {
+    const range = parseDateRange(field, token.value);
+    node = range
+      ? { type: 'term', field: 'date', value, range }
+      : { type: 'term', field: null, value: `${field}:${value}` };
+  } else if (field && SEARCH_TEXT_FIELDS.includes(field)) {
+    node = { type: 'term', field, value, phrase: token.phrase };
+  } else if (field && SEARCH_EXACT_FIELDS.includes(field)) {
+    node = { type: 'term', field, value };
+  } else if (field) {
+    // Unknown prefixes (e.g. a pasted "https://…") are matched as plain text.
+    node = { type: 'term', field: null, value: `${field}:${value}`, phrase: token.phrase };
+  } else {
+    node = { type: 'term', field: null, value, phrase: token.phrase };
+  }
+  return token.negated ? { type: 'not', child: node } : node;
+}
+
+/**
+ * Parse a gallery search query into an expression tree.
+ *
+ * Supported syntax: bare words and `"quoted phrases"` (matched anywhere),
+ * fielded terms (`prompt:`, `id:`, `url:`, `meta:`, `kind:video`,
+ * `status:missing`, `status:downloaded`, `status:archive-only`, `ext:webp`, `expiry:expired`), date ranges
+ * (`date:2025-10`, `date:2025-10-01..2025-10-15`, `before:2025-11`,
+ * `after:2025-09-30`), negation with `-`, `OR`/`|` alternatives and
+ * parenthesised groups. Adjacent terms are combined with AND.
+ *
+ * @param {string} text
+ * @returns {SearchNode | null} null when the query is empty
+ *
+ * @typedef {{ type: 'and' | 'or', children: SearchNode[] }
+ *   | { type: 'not', child: SearchNode }
+ *   | { type: 'term', field: string | null, value: string, phrase?: boolean, range?: { from: number, to: number } }} SearchNode
+ */
+export function parseSearchQuery(text) {
+  if (!text || typeof text !== 'string') return null;
+  const tokens = tokenizeSearchQuery(text.trim());
+  let position = 0;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (tokens[position]?.type === 'or') {
+      position += 1;
+      children.push(parseAnd());
+    }
+    const present = children.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'or', children: present };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length && tokens[position].type !== 'or' && tokens[position].type !== ')') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position];
+    position += 1;
+    if (token.type === 'not') {
+      if (tokens[position]?.type !== '(') return null;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (tokens[position]?.type === ')') {
+        position += 1;
+      }
+      return inner;
+    }
+    if (token.type === 'term') {
+      return createTermNode(token);
+    }
+    return null;
+  };
+
+  let root = parseOr();
+  // Stray closing parentheses end a group early; keep parsing what follows.
+  while (position < tokens.length) {
+    position += 1;
+    const rest = parseOr();
+    if (rest) {
+      root = root ? { type: 'and', children: [root, rest] } : rest;
+    }
+  }
+  return root;
+}
+
+/**
+ * Whether an item is in the archive folder, downloaded by the userscript but
+ * not (yet) in the folder, or missing altogether.
+ * @param {{ files: any[] } | undefined} offlineEntry
+ * @param {import('./downloadLedger.js').LedgerEntry} [ledgerEntry]
+ * @returns {'offline' | 'downloaded' | 'missing'}
+ */
+export function getItemStatus(offlineEntry, ledgerEntry) {
+  if (offlineEntry && offlineEntry.files.length > 0) return 'offline';
+  return ledgerEntry ? 'downloaded' : 'missing';
+}
+
+/**
+ * Collect the values a search query is evaluated against for one item.
+ * Items without local files are `downloaded` when the userscript's download
+ * ledger lists them, `missing` otherwise.
+ * @param {ReturnType<typeof normalizeIndexEntry>} item
+ * @param {{ files: Array<{ name: string }>, meta?: any } | undefined} offlineEntry
+ * @param {import('./downloadLedger.js').LedgerEntry} [ledgerEntry]
+ * @returns {SearchRecord}
+ *
+ * @typedef {{ id: string, url: string, prompt: string, meta: string, kind: string,
+ *   status: string, archiveOnly: boolean, exts: string[], expiry: string, createdAt: number | null }} SearchRecord
+ */
+export function buildSearchRecord(item, offlineEntry, ledgerEntry) {
+  const files = offlineEntry?.files ?? [];
+  const exts = files.map((file) => getFileExtension(file.name)).filter(Boolean);
+  const thumbExt = getFileExtension(item.thumbUrl);
+  if (thumbExt) exts.push(thumbExt);
+  return {
+    id: item.id.toLowerCase(),
+    url: [item.pageUrl, item.thumbUrl ?? ''].join(' ').toLowerCase(),
+    prompt: resolvePrompt(item, offlineEntry?.meta).toLowerCase(),
+    meta: offlineEntry?.meta ? JSON.stringify(offlineEntry.meta).toLowerCase() : '',
+    kind: inferMediaKind(item, offlineEntry),
+    status: getItemStatus(offlineEntry, ledgerEntry),
+    archiveOnly: Boolean(item.archiveOnly),
+    exts,
+    expiry: getExpiryState(item),
+    createdAt: item.createdAt ?? null
+  };
+}
+
+function matchesTerm(node, record) {
+  const { field, value } = node;
+  switch (field) {
+    case 'prompt':
+    case 'id':
+    case 'url':
+    case 'meta':
+      return record[field].includes(value);
+    case 'status':
+      if (value === 'archive-only' || value === 'archive') return record.archiveOnly;
+      return record.status === value;
+    case 'kind':
+    case 'expiry':
+      return record[field] === value;
+    case 'ext':
+      return record.exts.includes(value.replace(/^\./, ''));
+    case 'date':
+      return record.createdAt !== null && record.createdAt >= node.range.from && record.createdAt < node.range.to;
+    default:
+      return (
+        record.id.includes(value) ||
+        record.url.includes(value) ||
+        record.prompt.includes(value) ||
+        record.meta.includes(value)
+      );
+  }
+}
+
+/**
+ * Evaluate a parsed search query against a search record.
+ * @param {SearchNode | null} node
+ * @param {SearchRecord} record
+ * @param {(node: SearchNode, record: SearchRecord) => boolean | undefined} [matchOverride]
+ *   Optional hook consulted for each term first; returning undefined falls back to the built-in matching.
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(node, record, matchOverride) {
+  if (!node) return true;
+  switch (node.type) {
+    case 'and':
+      return node.children.every((child) => matchesSearchQuery(child, record, matchOverride));
+    case 'or':
+      return node.children.some((child) => matchesSearchQuery(child, record, matchOverride));
+    case 'not':
+      return !matchesSearchQuery(node.child, record, matchOverride);
+    default:
+      return matchOverride?.(node, record) ?? matchesTerm(node, record);
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Save a generated file (exports, missing-item lists) through a temporary link.
+ * The object URL is kept around briefly so slow downloads can still read it.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 30_000);
+}
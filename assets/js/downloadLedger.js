@@ -0,0 +1,119 @@
+import { extractGenId } from './data.js';
+
+/**
+ * The auto-saver's download ledger: generation ids the userscript has saved,
+ * with asset URL, time and file names. Imported into the gallery so items that
+ * were downloaded but have not reached the archive folder (still in the
+ * browser's download folder, moved elsewhere, …) can be told apart from items
+ * that were never saved.
+ */
+
+const STORAGE_KEY = 'sora-download-ledger';
+
+/**
+ * @typedef {{ id: string, assetUrl: string | null, downloadedAt: number | null, files: string[] }} LedgerEntry
+ */
+
+function normalizeLedgerEntry(raw, fallbackId) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = extractGenId(typeof raw.id === 'string' ? raw.id : fallbackId);
+  if (!id) return null;
+  const downloadedAt = typeof raw.downloadedAt === 'string' ? Date.parse(raw.downloadedAt) : Number(raw.downloadedAt);
+  return {
+    id,
+    assetUrl: typeof raw.assetUrl === 'string' ? raw.assetUrl : null,
+    downloadedAt: Number.isFinite(downloadedAt) && downloadedAt > 0 ? downloadedAt : null,
+    files: Array.isArray(raw.files) ? raw.files.filter((file) => typeof file === 'string') : []
+  };
+}
+
+/**
+ * Normalize ledger data: the userscript's export (`{ type: 'download-ledger', entries: [] }`),
+ * a plain array of entries, or the raw id-keyed object the userscript keeps in localStorage.
+ * @param {any} raw
+ * @returns {Map<string, LedgerEntry>}
+ */
+export function normalizeLedgerData(raw) {
+  let pairs;
+  if (Array.isArray(raw)) {
+    pairs = raw.map((entry) => [entry, null]);
+  } else if (raw && typeof raw === 'object' && Array.isArray(raw.entries)) {
+    pairs = raw.entries.map((entry) => [entry, null]);
+  } else if (raw && typeof raw === 'object' && !Array.isArray(raw.items)) {
+    pairs = Object.entries(raw).map(([id, entry]) => [entry, id]);
+  } else {
+    throw new Error('Unsupported ledger format. Expected the download ledger exported by the userscript.');
+  }
+  const ledger = new Map();
+  for (const [entry, fallbackId] of pairs) {
+    const normalized = normalizeLedgerEntry(entry, fallbackId);
+    if (normalized) ledger.set(normalized.id, normalized);
+  }
+  return ledger;
+}
+
+/**
+ * Read a ledger file chosen via the file picker.
+ * @param {File} file
+ * @returns {Promise<Map<string, LedgerEntry>>}
+ */
+export async function parseLedgerFile(file) {
+  try {
+    const ledger = normalizeLedgerData(JSON.parse(await file.text()));
+    if (ledger.size === 0) throw new Error('No downloaded items found.');
+    return ledger;
+  } catch (error) {
+    throw new Error(`Failed to read ${file.name}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+/**
+ * Combine two ledgers, e.g. exports from different browsers. The most recent
+ * download of an id wins.
+ * @param {Map<string, LedgerEntry>} current
+ * @param {Map<string, LedgerEntry>} incoming
+ * @returns {{ ledger: Map<string, LedgerEntry>, added: number }}
+ */
+export function mergeLedgers(current, incoming) {
+  const ledger = new Map(current);
+  let added = 0;
+  for (const [id, entry] of incoming) {
+    const existing = ledger.get(id);
+    if (!existing) added += 1;
+    if (!existing || (entry.downloadedAt ?? 0) >= (existing.downloadedAt ?? 0)) {
+      ledger.set(id, entry);
+    }
+  }
+  return { ledger, added };
+}
+
+/**
+ * @returns {Map<string, LedgerEntry>}
+ */
+export function loadStoredLedger() {
+  if (typeof localStorage === 'undefined') return new Map();
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeLedgerData(JSON.parse(stored)) : new Map();
+  } catch (error) {
+    console.debug('Unable to read the download ledger from storage:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Persist the ledger; an empty ledger removes the stored copy.
+ * @param {Map<string, LedgerEntry>} ledger
+ */
+export function storeLedger(ledger) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    if (ledger.size === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+      return;
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...ledger.values()]));
+  } catch (error) {
+    console.debug('Unable to persist the download ledger:', error);
+  }
+}
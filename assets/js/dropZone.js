@@ -0,0 +1,139 @@
+import { wrapDirectoryEntry } from './archiveSources.js';
+
+const INDEX_FILE_PATTERN = /\.(json|txt)$/i;
+
+/**
+ * Pull index files and directories out of a drop event. Items must be read
+ * synchronously inside the event handler, so handles and entries are
+ * requested up front and awaited afterwards.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{ files: File[], directories: Array<FileSystemDirectoryHandle | ReturnType<typeof wrapDirectoryEntry>>, ignored: number }>}
+ */
+async function collectDroppedItems(dataTransfer) {
+  const pending = [];
+  for (const item of dataTransfer.items ?? []) {
+    if (item.kind !== 'file') continue;
+    if (typeof item.getAsFileSystemHandle === 'function') {
+      pending.push(item.getAsFileSystemHandle().then((handle) => ({ handle })));
+    } else if (typeof item.webkitGetAsEntry === 'function') {
+      const entry = item.webkitGetAsEntry();
+      const file = item.getAsFile();
+      pending.push(Promise.resolve({ entry, file }));
+    } else {
+      pending.push(Promise.resolve({ file: item.getAsFile() }));
+    }
+  }
+
+  const files = [];
+  const directories = [];
+  let ignored = 0;
+  for (const result of await Promise.allSettled(pending)) {
+    if (result.status !== 'fulfilled') {
+      ignored += 1;
+      continue;
+    }
+    const { handle, entry, file } = result.value;
+    if (handle?.kind === 'directory') {
+      directories.push(handle);
+    } else if (handle?.kind === 'file') {
+      const dropped = await handle.getFile();
+      if (INDEX_FILE_PATTERN.test(dropped.name)) files.push(dropped);
+      else ignored += 1;
+    } else if (entry?.isDirectory) {
+      directories.push(wrapDirectoryEntry(entry));
+    } else if (file && INDEX_FILE_PATTERN.test(file.name)) {
+      files.push(file);
+    } else {
+      ignored += 1;
+    }
+  }
+  return { files, directories, ignored };
+}
+
+/**
+ * Accept index files and archive folders dropped anywhere on the page.
+ * A full-page overlay is shown while something is dragged over the window.
+ * @param {HTMLElement} overlay element shown while dragging; its `[data-role="drop-message"]` child shows progress
+ * @param {{
+ *   onIndexFiles: (files: File[]) => Promise<unknown>,
+ *   onDirectory: (directory: any, options: { persistHandle: boolean }) => Promise<unknown>
+ * }} handlers
+ */
+export function setupDropZone(overlay, { onIndexFiles, onDirectory }) {
+  const message = overlay.querySelector('[data-role="drop-message"]');
+  const idleMessage = message?.textContent ?? '';
+  let dragDepth = 0;
+  let busy = false;
+
+  const hasFiles = (event) => Array.from(event.dataTransfer?.types ?? []).includes('Files');
+
+  const setMessage = (text) => {
+    if (message) message.textContent = text;
+  };
+
+  // Keep the overlay up long enough for a final message to be read.
+  const showBriefly = async (text) => {
+    setMessage(text);
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+  };
+
+  const hide = () => {
+    dragDepth = 0;
+    if (!busy) {
+      overlay.hidden = true;
+      setMessage(idleMessage);
+    }
+  };
+
+  window.addEventListener('dragenter', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth += 1;
+    overlay.hidden = false;
+  });
+
+  window.addEventListener('dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = busy ? 'none' : 'copy';
+  });
+
+  window.addEventListener('dragleave', (event) => {
+    if (!hasFiles(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) hide();
+  });
+
+  window.addEventListener('drop', async (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    if (busy) return;
+    busy = true;
+    setMessage('Reading dropped items…');
+    try {
+      const { files, directories, ignored } = await collectDroppedItems(event.dataTransfer);
+      if (files.length === 0 && directories.length === 0) {
+        await showBriefly('Nothing to load — drop index .json files or an archive folder.');
+        return;
+      }
+      if (files.length > 0) {
+        const noun = files.length === 1 ? 'index file' : 'index files';
+        setMessage(`Merging ${files.length} ${noun}…`);
+        await onIndexFiles(files);
+      }
+      for (const directory of directories) {
+        setMessage(`Scanning ${directory.name}…`);
+        await onDirectory(directory, { persistHandle: directory.persistable !== false });
+      }
+      if (ignored > 0) {
+        const noun = ignored === 1 ? 'item' : 'items';
+        await showBriefly(`Ignored ${ignored} dropped ${noun} that were not index files or folders.`);
+      }
+    } catch (error) {
+      await showBriefly(`Could not load the dropped items: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      busy = false;
+      hide();
+    }
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Read the XMP packet the auto-saver can embed in media files (see
+ * `embedMetadata` in the userscript). PNG and JPEG carry it near the start of
+ * the file, WebP and MP4 at the end, so only the head and tail are read.
+ */
+
+const SCAN_BYTES = 64 * 1024;
+const XMP_START = '<x:xmpmeta';
+const XMP_END = '</x:xmpmeta>';
+
+function decodeXml(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readElement(packet, name) {
+  const match = packet.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  if (!match) return '';
+  // Language alternatives wrap the value in <rdf:li>.
+  const inner = match[1].match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/)?.[1] ?? match[1];
+  return decodeXml(inner.trim());
+}
+
+function findXmpPacket(text) {
+  const start = text.indexOf(XMP_START);
+  if (start === -1) return null;
+  const end = text.indexOf(XMP_END, start);
+  return end === -1 ? null : text.slice(start, end + XMP_END.length);
+}
+
+/**
+ * Parse the fields of an embedded XMP packet into the `.meta.json` shape.
+ * @param {string} packet
+ * @returns {{ GenerationId?: string, Prompt?: string, SourceURL?: string } | null}
+ */
+export function parseXmpMeta(packet) {
+  const meta = {
+    GenerationId: readElement(packet, 'sora:GenerationId') || readElement(packet, 'dc:identifier'),
+    Prompt: readElement(packet, 'sora:Prompt') || readElement(packet, 'dc:description'),
+    SourceURL: readElement(packet, 'sora:SourceURL') || readElement(packet, 'dc:source')
+  };
+  for (const key of Object.keys(meta)) {
+    if (!meta[key]) delete meta[key];
+  }
+  return meta.GenerationId || meta.Prompt ? meta : null;
+}
+
+/**
+ * Look for embedded prompt metadata in a media file.
+ * @param {File} file
+ * @returns {Promise<ReturnType<typeof parseXmpMeta>>}
+ */
+export async function readEmbeddedMeta(file) {
+  const decoder = new TextDecoder();
+  const head = decoder.decode(await file.slice(0, SCAN_BYTES).arrayBuffer());
+  let packet = findXmpPacket(head);
+  if (!packet && file.size > SCAN_BYTES) {
+    const tail = decoder.decode(await file.slice(file.size - SCAN_BYTES).arrayBuffer());
+    packet = findXmpPacket(tail);
+  }
+  return packet ? parseXmpMeta(packet) : null;
+}
@@ -1,9 +1,17 @@
 import { extractGenId } from './data.js';
 import { clearDirectoryHandle } from './handleStorage.js';
+import { readEmbeddedMeta } from './embeddedMeta.js';
 
-const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif'];
 const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v'];
 const MEDIA_EXTENSIONS = new Set([...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS]);
+const PROGRESS_INTERVAL = 50;
+// Parsed `.meta.json` files and embedded metadata lookups by
+// `path|size|lastModified`, so rescans (the harvest page rescans every few
+// seconds) do not re-read unchanged files. Keys not seen in the latest scan
+// are dropped at its end, so old file versions and folders do not pile up.
+const metaFileCache = new Map();
+const embeddedMetaCache = new Map();
 
 /**
  * Attempt to ensure we have read permission for a directory handle.
@@ -11,6 +19,10 @@ const MEDIA_EXTENSIONS = new Set([...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS]);
  * @returns {Promise<boolean>}
  */
 export async function ensureReadPermission(handle) {
+  // Adapters for dropped or picked files (see archiveSources.js) are readable by construction.
+  if (typeof handle?.queryPermission !== 'function') {
+    return Boolean(handle);
+  }
   try {
     const status = await handle.queryPermission({ mode: 'read' });
     if (status === 'granted') {
@@ -35,6 +47,20 @@ function extractIdFromName(name) {
   return extractGenId(withoutMeta);
 }
 
+// The auto-saver's filename template may put the id in a subfolder instead of
+// the file name (e.g. `{id}/{index}`), so enclosing folders are checked too,
+// innermost first.
+function extractIdFromPath(name, relativePath) {
+  const id = extractIdFromName(name);
+  if (id) return id;
+  const folders = relativePath.split('/').slice(0, -1).reverse();
+  for (const folder of folders) {
+    const folderId = extractGenId(folder);
+    if (folderId) return folderId;
+  }
+  return null;
+}
+
 function isMediaFile(name) {
   const ext = name.split('.').pop()?.toLowerCase() || '';
   return MEDIA_EXTENSIONS.has(ext);
@@ -44,16 +70,26 @@ function isMetaFile(name) {
   return /\.meta\.json$/i.test(name);
 }
 
-async function readMetaFile(handle) {
+async function readMetaFile(handle, relativePath, seenKeys) {
   try {
     const file = await handle.getFile();
-    const text = await file.text();
-    return JSON.parse(text);
+    const key = `${relativePath}|${file.size}|${file.lastModified}`;
+    seenKeys.add(key);
+    if (!metaFileCache.has(key)) {
+      metaFileCache.set(key, JSON.parse(await file.text()));
+    }
+    return metaFileCache.get(key);
   } catch (error) {
     throw new Error(`Failed to read ${handle.name}: ${error instanceof Error ? error.message : String(error)}`);
   }
 }
 
+function pruneCache(cache, seenKeys) {
+  for (const key of cache.keys()) {
+    if (!seenKeys.has(key)) cache.delete(key);
+  }
+}
+
 async function walkDirectory(handle, onFile, path = []) {
   for await (const [name, entry] of handle.entries()) {
     const nextPath = [...path, name];
@@ -65,32 +101,76 @@ async function walkDirectory(handle, onFile, path = []) {
   }
 }
 
+async function readCachedEmbeddedMeta(handle, relativePath, seenKeys) {
+  try {
+    const file = await handle.getFile();
+    const key = `${relativePath}|${file.size}|${file.lastModified}`;
+    seenKeys.add(key);
+    if (!embeddedMetaCache.has(key)) {
+      embeddedMetaCache.set(key, await readEmbeddedMeta(file));
+    }
+    return embeddedMetaCache.get(key);
+  } catch (error) {
+    console.debug(`Could not read embedded metadata from ${handle.name}:`, error);
+    return null;
+  }
+}
+
+// Media saved with "Embed prompt in the file" still carries its metadata
+// when the sidecar went missing.
+async function readFirstEmbeddedMeta(entry, seenKeys) {
+  for (const [index, handle] of entry.files.entries()) {
+    const meta = await readCachedEmbeddedMeta(handle, entry.paths[index], seenKeys);
+    if (meta) return meta;
+  }
+  return null;
+}
+
 /**
  * Scan the archive directory collecting meta files and media handles keyed by id.
+ * `paths[i]` is the path of `files[i]` relative to the scanned directory; files
+ * are ordered by path so variants keep a stable order between scans. Media whose
+ * name and folders carry no generation id is matched by the `GenerationId`
+ * embedded in it, if any. Ids with media but no `.meta.json` fall back to
+ * metadata embedded in the media (`embeddedMeta` set); those are counted in
+ * `embeddedCount`, not `metaCount`.
  * @param {FileSystemDirectoryHandle} directory
- * @returns {Promise<{ byId: Map<string, { files: FileSystemFileHandle[], meta?: any, metaError?: string }>, mediaCount: number, metaCount: number, errors: string[] }>}
+ * @param {{ onProgress?: (progress: { scanned: number, mediaCount: number, metaCount: number }) => void }} [options]
+ * @returns {Promise<{ byId: Map<string, { files: FileSystemFileHandle[], paths: string[], meta?: any, metaError?: string, embeddedMeta?: boolean }>, mediaCount: number, metaCount: number, embeddedCount: number, errors: string[] }>}
  */
-export async function scanArchiveDirectory(directory) {
+export async function scanArchiveDirectory(directory, { onProgress } = {}) {
   const byId = new Map();
   const errors = [];
   let mediaCount = 0;
   let metaCount = 0;
+  let embeddedCount = 0;
+  let scanned = 0;
+  const seenKeys = new Set();
 
   const ensureEntry = (id) => {
     if (!byId.has(id)) {
-      byId.set(id, { files: [], meta: undefined, metaError: undefined });
+      byId.set(id, { files: [], paths: [], meta: undefined, metaError: undefined });
     }
     return byId.get(id);
   };
 
   await walkDirectory(directory, async (fileHandle, relativePath) => {
+    scanned += 1;
+    if (onProgress && scanned % PROGRESS_INTERVAL === 0) {
+      onProgress({ scanned, mediaCount, metaCount });
+    }
     const name = fileHandle.name;
-    const id = extractIdFromName(name);
+    let id = extractIdFromPath(name, relativePath);
+    // Renamed or shared media can still be identified by its embedded metadata.
+    if (!id && isMediaFile(name)) {
+      const embedded = await readCachedEmbeddedMeta(fileHandle, relativePath, seenKeys);
+      id = embedded?.GenerationId ? extractGenId(embedded.GenerationId) : null;
+    }
     if (!id) return;
 
     if (isMetaFile(name)) {
       try {
-        const meta = await readMetaFile(fileHandle);
+        const meta = await readMetaFile(fileHandle, relativePath, seenKeys);
         const entry = ensureEntry(id);
         entry.meta = meta;
         entry.metaError = undefined;
@@ -107,11 +187,43 @@ export async function scanArchiveDirectory(directory) {
     if (isMediaFile(name)) {
       const entry = ensureEntry(id);
       entry.files.push(fileHandle);
+      entry.paths.push(relativePath);
       mediaCount += 1;
     }
   });
 
-  return { byId, mediaCount, metaCount, errors };
+  for (const entry of byId.values()) {
+    if (entry.files.length < 2) continue;
+    const order = entry.paths
+      .map((path, index) => ({ path, file: entry.files[index] }))
+      .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    entry.files = order.map((variant) => variant.file);
+    entry.paths = order.map((variant) => variant.path);
+  }
+
+  for (const entry of byId.values()) {
+    if (entry.meta || entry.metaError || entry.files.length === 0) continue;
+    const meta = await readFirstEmbeddedMeta(entry, seenKeys);
+    if (!meta) continue;
+    entry.meta = meta;
+    entry.embeddedMeta = true;
+    embeddedCount += 1;
+  }
+
+  pruneCache(metaFileCache, seenKeys);
+  pruneCache(embeddedMetaCache, seenKeys);
+  return { byId, mediaCount, metaCount, embeddedCount, errors };
+}
+
+/**
+ * Status suffix for the ids whose metadata came from the media itself, or an
+ * empty string when there were none.
+ * @param {{ embeddedCount?: number }} scan result of `scanArchiveDirectory`
+ * @returns {string}
+ */
+export function describeEmbeddedCount(scan) {
+  const count = scan?.embeddedCount ?? 0;
+  return count > 0 ? `, metadata read from ${count} media ${count === 1 ? 'file' : 'files'}` : '';
 }
 
 /**
@@ -1,32 +1,47 @@
 /**
- * Minimal IndexedDB wrapper for storing FileSystem handles.
+ * Minimal IndexedDB wrapper for storing FileSystem handles, cached thumbnails,
+ * harvest runs and per-item harvest attempts.
  */
 const DB_NAME = 'sora-archive-kit';
+const DB_VERSION = 4;
 const STORE_NAME = 'handles';
+const THUMB_STORE_NAME = 'thumbnails';
+const RUN_STORE_NAME = 'harvestRuns';
+const ATTEMPT_STORE_NAME = 'harvestAttempts';
 const KEY_ARCHIVE = 'archive';
 
 function openDatabase() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
     request.onupgradeneeded = () => {
       const db = request.result;
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME);
       }
+      if (!db.objectStoreNames.contains(THUMB_STORE_NAME)) {
+        db.createObjectStore(THUMB_STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(RUN_STORE_NAME)) {
+        db.createObjectStore(RUN_STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(ATTEMPT_STORE_NAME)) {
+        db.createObjectStore(ATTEMPT_STORE_NAME);
+      }
     };
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result);
   });
 }
 
-async function withStore(mode, callback) {
+async function withStore(mode, callback, storeName = STORE_NAME) {
   const db = await openDatabase();
   try {
     return await new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, mode);
-      const store = tx.objectStore(STORE_NAME);
+      const tx = db.transaction(storeName, mode);
+      const store = tx.objectStore(storeName);
       const result = callback(store, tx);
-      tx.oncomplete = () => resolve(result);
+      // Requests only carry their value once the transaction has completed.
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
       tx.onerror = () => reject(tx.error);
     });
   } finally {
@@ -65,3 +80,118 @@ export function clearDirectoryHandle() {
     store.delete(KEY_ARCHIVE);
   });
 }
+
+/**
+ * Persist the bytes of a thumbnail keyed by generation id.
+ * @param {string} id
+ * @param {Blob} blob
+ * @param {string} sourceUrl
+ */
+export function saveCachedThumbnail(id, blob, sourceUrl) {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.put({ blob, sourceUrl, cachedAt: Date.now() }, id);
+    },
+    THUMB_STORE_NAME
+  );
+}
+
+/**
+ * Retrieve a cached thumbnail record for a generation id.
+ * @param {string} id
+ * @returns {Promise<{ blob: Blob, sourceUrl: string, cachedAt: number } | null>}
+ */
+export async function getCachedThumbnail(id) {
+  try {
+    const record = await withStore('readonly', (store) => store.get(id), THUMB_STORE_NAME);
+    return record ?? null;
+  } catch (error) {
+    console.warn('Unable to read cached thumbnail:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist a harvest run, replacing any earlier copy with the same id.
+ * @param {{ id: string }} run
+ */
+export function saveHarvestRun(run) {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.put(run, run.id);
+    },
+    RUN_STORE_NAME
+  );
+}
+
+/**
+ * Retrieve all stored harvest runs, newest first.
+ * @returns {Promise<Array<{ id: string, startedAt: number }>>}
+ */
+export async function getHarvestRuns() {
+  try {
+    const runs = await withStore('readonly', (store) => store.getAll(), RUN_STORE_NAME);
+    return (runs ?? []).sort((a, b) => b.startedAt - a.startedAt);
+  } catch (error) {
+    console.warn('Unable to read harvest runs:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove a stored harvest run.
+ * @param {string} id
+ */
+export function deleteHarvestRun(id) {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.delete(id);
+    },
+    RUN_STORE_NAME
+  );
+}
+
+/**
+ * Persist the failed-attempt record of a generation id.
+ * @param {{ id: string, attempts: number, lastError: string | null, lastAttemptAt: number | null, needsAttention: boolean }} record
+ */
+export function saveHarvestAttempt(record) {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.put(record, record.id);
+    },
+    ATTEMPT_STORE_NAME
+  );
+}
+
+/**
+ * Retrieve all failed-attempt records keyed by generation id.
+ * @returns {Promise<Map<string, { id: string, attempts: number, lastError: string | null, lastAttemptAt: number | null, needsAttention: boolean }>>}
+ */
+export async function getHarvestAttempts() {
+  try {
+    const records = await withStore('readonly', (store) => store.getAll(), ATTEMPT_STORE_NAME);
+    return new Map((records ?? []).map((record) => [record.id, record]));
+  } catch (error) {
+    console.warn('Unable to read harvest attempts:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Forget the attempts of a generation id, e.g. once it has been saved.
+ * @param {string} id
+ */
+export function deleteHarvestAttempt(id) {
+  return withStore(
+    'readwrite',
+    (store) => {
+      store.delete(id);
+    },
+    ATTEMPT_STORE_NAME
+  );
+}
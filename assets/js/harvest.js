@@ -1,16 +1,30 @@
 import {
   loadDefaultIndex,
-  parseIndexFile,
-  resolvePrompt
+  parseIndexFiles,
+  describeIndexMerge,
+  resolvePrompt,
+  parseSearchQuery,
+  matchesSearchQuery,
+  buildSearchRecord,
+  sortItems,
+  buildIndexExport,
+  formatCsv
 } from './data.js';
 import {
   saveDirectoryHandle,
-  getDirectoryHandle
+  getDirectoryHandle,
+  saveHarvestRun,
+  getHarvestRuns,
+  deleteHarvestRun,
+  saveHarvestAttempt,
+  getHarvestAttempts,
+  deleteHarvestAttempt
 } from './handleStorage.js';
 import {
   scanArchiveDirectory,
   ensureReadPermission,
-  validateStoredHandle
+  validateStoredHandle,
+  describeEmbeddedCount
 } from './fsScanner.js';
 import {
   attemptPreferredArchiveDirectory,
@@ -18,8 +32,31 @@ import {
   setPreferredArchivePath,
   DEFAULT_PREFERRED_ARCHIVE_PATH
 } from './preferredFolder.js';
+import { setupDropZone } from './dropZone.js';
+import { createFileListDirectory, supportsDirectoryPicker } from './archiveSources.js';
+import { downloadBlob } from './downloadFile.js';
+import {
+  createHarvestQueue,
+  createHarvestEntry,
+  countHarvestStatuses,
+  parseSaverMessage,
+  buildHarvestUrl,
+  planHarvestSchedule,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_ITEM_TIMEOUT_MS,
+  DEFAULT_MAX_ATTEMPTS
+} from './harvestQueue.js';
+import {
+  createHarvestRun,
+  updateHarvestRun,
+  restoreRunEntries,
+  isRunResumable,
+  createRunCard,
+  MAX_STORED_RUNS
+} from './harvestRuns.js';
 
 const loadIndexButton = document.querySelector('#load-index-button');
+const mergeIndexButton = document.querySelector('#merge-index-button');
 const connectFolderButton = document.querySelector('#connect-folder');
 const connectPreferredButton = document.querySelector('#connect-preferred');
 const hiddenIndexInput = document.querySelector('#index-file-input');
@@ -27,17 +64,76 @@ const indexStatus = document.querySelector('#index-status');
 const archiveStatus = document.querySelector('#archive-status');
 const openLimitInput = document.querySelector('#open-limit');
 const delayInput = document.querySelector('#delay-ms');
+const concurrencyInput = document.querySelector('#concurrency');
+const timeoutInput = document.querySelector('#item-timeout');
+const maxAttemptsInput = document.querySelector('#max-attempts');
+const includeAttentionCheckbox = document.querySelector('#include-attention');
 const autoCheckbox = document.querySelector('#append-auto');
 const openButton = document.querySelector('#open-missing');
+const openSelectedButton = document.querySelector('#open-selected');
+const dryRunCheckbox = document.querySelector('#dry-run');
+const dryRunPanel = document.querySelector('#dry-run-plan');
+const exportUrlsButton = document.querySelector('#export-urls');
+const exportCsvButton = document.querySelector('#export-csv');
+const exportJsonButton = document.querySelector('#export-json');
+const exportStatus = document.querySelector('#export-status');
+const stopButton = document.querySelector('#stop-harvest');
 const progressText = document.querySelector('#progress-text');
 const progressFill = document.querySelector('#progress-fill');
 const harvestList = document.querySelector('.harvest-list');
 const pendingCountText = document.querySelector('#pending-count');
+const searchInput = document.querySelector('#harvest-search');
+const sortSelect = document.querySelector('#harvest-sort');
+const selectMatchingButton = document.querySelector('#select-matching');
+const clearSelectionButton = document.querySelector('#clear-selection');
+const selectionCountText = document.querySelector('#selection-count');
 const preferredPathInput = document.querySelector('#preferred-path');
 const preferredPathLabels = document.querySelectorAll('[data-role="preferred-path-label"]');
+const dropOverlay = document.querySelector('#drop-overlay');
+const archiveFolderInput = document.querySelector('#archive-folder-input');
+const folderFallbackNotice = document.querySelector('#folder-fallback-notice');
+const resumeNotice = document.querySelector('#resume-run');
+const runHistoryList = document.querySelector('#run-history');
 
 let normalizedIndex = [];
-let archiveData = { byId: new Map(), mediaCount: 0, metaCount: 0, errors: [] };
+// Whether the next file picker selection replaces or merges into the loaded index.
+let indexFileMode = 'replace';
+let archiveData = { byId: new Map(), mediaCount: 0, metaCount: 0, embeddedCount: 0, errors: [] };
+let archiveDirectory = null;
+let searchTerm = '';
+let sortOrder = 'index';
+// Ids ticked in the missing list; they stay selected while hidden by the filter.
+const selectedIds = new Set();
+// Runs stored in IndexedDB, newest first; `currentRun` is the one the queue is working on.
+let storedRuns = [];
+let currentRun = null;
+let runWrites = Promise.resolve();
+// Failed-attempt records per generation id, persisted across runs.
+let attemptRecords = new Map();
+
+const HARVEST_BADGES = {
+  queued: { label: 'Queued', className: 'missing' },
+  open: { label: 'Tab opened', className: 'archive' },
+  skipped: { label: 'Already downloaded', className: 'offline' },
+  retrying: { label: 'Retry scheduled', className: 'missing' },
+  attention: { label: 'Needs attention', className: 'error' },
+  'timed-out': { label: 'Timed out', className: 'error' },
+  failed: { label: 'Failed', className: 'error' }
+};
+
+// Live status reported by the userscript while a tab is still open.
+const SAVER_BADGES = {
+  started: { label: 'Saving…', className: 'archive' },
+  'media-found': { label: 'Media found', className: 'archive' },
+  downloaded: { label: 'Downloaded, waiting for file', className: 'offline' }
+};
+
+const harvestQueue = createHarvestQueue({
+  openTab: openHarvestTab,
+  rescan: rescanArchive,
+  isSaved: (id) => archiveData.byId.get(id)?.meta !== undefined,
+  onChange: handleQueueChange
+});
 
 function setIndexStatus(message, type = 'info') {
   if (!indexStatus) return;
@@ -60,9 +156,55 @@ function syncPreferredPathUI() {
   });
 }
 
+function isMissing(item) {
+  const offlineEntry = archiveData.byId.get(item.id);
+  return !offlineEntry || offlineEntry.files.length === 0;
+}
+
+function needsAttention(id) {
+  return attemptRecords.get(id)?.needsAttention === true;
+}
+
+function getMatchingMissingItems({ includeFlagged = true } = {}) {
+  const query = parseSearchQuery(searchTerm);
+  const matching = normalizedIndex.filter((item) => {
+    if (!isMissing(item)) return false;
+    if (!includeFlagged && needsAttention(item.id)) return false;
+    if (!query) return true;
+    return matchesSearchQuery(query, buildSearchRecord(item, archiveData.byId.get(item.id)));
+  });
+  return sortItems(matching, sortOrder, archiveData.byId);
+}
+
+function getSelectedItems() {
+  const selected = normalizedIndex.filter((item) => selectedIds.has(item.id) && isMissing(item));
+  return sortItems(selected, sortOrder, archiveData.byId);
+}
+
+function updateSelectionUI() {
+  // Items that have been saved since they were ticked drop out of the selection.
+  for (const item of normalizedIndex) {
+    if (selectedIds.has(item.id) && !isMissing(item)) {
+      selectedIds.delete(item.id);
+    }
+  }
+  const count = selectedIds.size;
+  if (selectionCountText) {
+    selectionCountText.textContent = count === 0 ? 'Nothing selected.' : `${count} selected.`;
+  }
+  if (openSelectedButton) {
+    openSelectedButton.textContent = `Open selected (${count})`;
+    openSelectedButton.disabled = count === 0 || harvestQueue.running;
+  }
+  if (clearSelectionButton) {
+    clearSelectionButton.disabled = count === 0;
+  }
+}
+
 function renderHarvestList() {
   if (!harvestList) return;
   harvestList.innerHTML = '';
+  updateSelectionUI();
   if (normalizedIndex.length === 0) {
     harvestList.innerHTML = '<div class="notice">Load an index to view missing items.</div>';
     if (pendingCountText) {
@@ -71,25 +213,47 @@ function renderHarvestList() {
     return;
   }
 
-  let missingCount = 0;
-  for (const item of normalizedIndex) {
+  const missingCount = normalizedIndex.filter(isMissing).length;
+  const matchingItems = getMatchingMissingItems();
+  const queueStatus = new Map(harvestQueue.entries.map((entry) => [entry.item.id, entry]));
+  for (const item of matchingItems) {
     const offlineEntry = archiveData.byId.get(item.id);
-    const isMissing = !offlineEntry || offlineEntry.files.length === 0;
-    if (!isMissing) continue;
-    missingCount += 1;
+    const queued = queueStatus.get(item.id);
+    const attemptRecord = attemptRecords.get(item.id);
+    let status = queued?.status;
+    if (status === 'queued' && queued.retryAt) {
+      status = 'retrying';
+    } else if (!queued && attemptRecord?.needsAttention) {
+      status = 'attention';
+    }
+    const badgeInfo =
+      (status === 'open' && SAVER_BADGES[queued.saverStatus]) ||
+      HARVEST_BADGES[status] ||
+      { label: 'Missing', className: 'missing' };
+    const lastError = queued ? queued.error : attemptRecord?.lastError;
 
     const wrapper = document.createElement('div');
     wrapper.className = 'harvest-item';
     const header = document.createElement('div');
     header.className = 'summary';
 
+    const selectLabel = document.createElement('label');
+    selectLabel.className = 'harvest-select';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.selectId = item.id;
+    checkbox.checked = selectedIds.has(item.id);
     const idSpan = document.createElement('span');
     idSpan.textContent = item.id;
+    selectLabel.append(checkbox, idSpan);
     const badge = document.createElement('span');
-    badge.className = 'badge missing';
-    badge.textContent = 'Missing';
+    badge.className = `badge ${badgeInfo.className}`;
+    badge.textContent = badgeInfo.label;
+    if (lastError) {
+      badge.title = lastError;
+    }
 
-    header.append(idSpan, badge);
+    header.append(selectLabel, badge);
 
     const prompt = document.createElement('p');
     prompt.className = 'prompt';
@@ -105,12 +269,27 @@ function renderHarvestList() {
     link.rel = 'noopener';
     link.textContent = 'Open manually';
 
-    wrapper.append(header, prompt, link);
+    wrapper.append(header, prompt);
+    if (status === 'attention') {
+      const attempts = attemptRecord.attempts === 1 ? '1 attempt' : `${attemptRecord.attempts} attempts`;
+      const note = document.createElement('p');
+      note.className = 'muted';
+      note.textContent = `Failed after ${attempts}${lastError ? `: ${lastError}` : '.'}`;
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.className = 'ghost';
+      clearButton.dataset.clearAttention = item.id;
+      clearButton.textContent = 'Clear flag and reset attempts';
+      wrapper.append(note, clearButton);
+    }
+    wrapper.append(link);
     harvestList.append(wrapper);
   }
 
   if (missingCount === 0) {
     harvestList.innerHTML = '<div class="notice"><strong>All caught up!</strong> Every item in the index has a matching offline file.</div>';
+  } else if (matchingItems.length === 0) {
+    harvestList.innerHTML = '<div class="notice"><strong>No results.</strong> No missing items match the current filter.</div>';
   }
 
   if (pendingCountText) {
@@ -119,20 +298,38 @@ function renderHarvestList() {
       pendingCountText.textContent = `All caught up — 0 items pending harvest out of ${total}.`;
     } else {
       const noun = missingCount === 1 ? 'item' : 'items';
-      pendingCountText.textContent = `${missingCount} ${noun} pending harvest out of ${total}.`;
+      const filterNote = searchTerm ? ` ${matchingItems.length} match the filter.` : '';
+      const flaggedCount = matchingItems.filter((item) => needsAttention(item.id)).length;
+      const flaggedNote =
+        flaggedCount > 0 && !includeAttentionCheckbox?.checked
+          ? ` ${flaggedCount} need attention and are skipped by “Open missing”.`
+          : '';
+      pendingCountText.textContent = `${missingCount} ${noun} pending harvest out of ${total}.${filterNote}${flaggedNote}`;
     }
   }
 }
 
+async function loadIndexFiles(files, { merge = false } = {}) {
+  const label = files.length === 1 ? files[0].name : `${files.length} files`;
+  setIndexStatus(`Loading ${label}…`, 'loading');
+  const result = await parseIndexFiles(files, merge ? normalizedIndex : []);
+  if (result.fileCount === 0) {
+    setIndexStatus(result.errors.join('; ') || 'No index files were loaded.', 'error');
+    return false;
+  }
+  normalizedIndex = result.items;
+  setIndexStatus(describeIndexMerge(result), result.errors.length > 0 ? 'error' : 'success');
+  renderHarvestList();
+  return true;
+}
+
 async function handleIndexFileSelection(event) {
-  const file = event.target.files?.[0];
-  if (!file) return;
+  const files = [...(event.target.files ?? [])];
+  const merge = indexFileMode === 'merge';
+  indexFileMode = 'replace';
+  if (files.length === 0) return;
   try {
-    setIndexStatus(`Loading ${file.name}…`, 'loading');
-    const result = await parseIndexFile(file);
-    normalizedIndex = result.items;
-    setIndexStatus(`Loaded ${normalizedIndex.length} items (skipped ${result.skipped}).`, 'success');
-    renderHarvestList();
+    await loadIndexFiles(files, { merge });
   } catch (error) {
     setIndexStatus(error instanceof Error ? error.message : String(error), 'error');
   } finally {
@@ -140,7 +337,21 @@ async function handleIndexFileSelection(event) {
   }
 }
 
+async function handleArchiveFolderInput(event) {
+  const files = event.target.files;
+  if (!files || files.length === 0) return;
+  const directory = createFileListDirectory(files);
+  event.target.value = '';
+  await connectArchiveDirectory(directory, {
+    sourceLabel: `selected folder (${directory.name})`
+  });
+}
+
 async function pickArchiveFolder() {
+  if (!supportsDirectoryPicker()) {
+    archiveFolderInput?.click();
+    return;
+  }
   try {
     const directory = await window.showDirectoryPicker({ mode: 'read' });
     await connectArchiveDirectory(directory, {
@@ -191,8 +402,13 @@ async function connectArchiveDirectory(directory, { persistHandle = false, sourc
     if (persistHandle) {
       await saveDirectoryHandle(directory);
     }
-    archiveData = await scanArchiveDirectory(directory);
-    setArchiveStatus(`Connected. Media files: ${archiveData.mediaCount}, meta files: ${archiveData.metaCount}.`);
+    archiveData = await scanArchiveDirectory(directory, {
+      onProgress: ({ scanned, mediaCount, metaCount }) => {
+        setArchiveStatus(`Scanning ${sourceLabel}… ${scanned} files checked (${mediaCount} media, ${metaCount} meta).`);
+      }
+    });
+    archiveDirectory = directory;
+    setArchiveStatus(`Connected. Media files: ${archiveData.mediaCount}, meta files: ${archiveData.metaCount}${describeEmbeddedCount(archiveData)}.`);
     renderHarvestList();
     return true;
   } catch (error) {
@@ -215,61 +431,435 @@ async function autoConnectPreferredFolder() {
   });
 }
 
-function buildAutoUrl(url, appendAuto) {
-  if (!appendAuto) return url;
-  const hasQuery = url.includes('?');
-  return `${url}${hasQuery ? '&' : '?'}auto=1`;
-}
-
-function updateProgress(current, total) {
+function updateProgress(entries, running) {
+  const counts = countHarvestStatuses(entries);
   if (progressText) {
-    progressText.textContent = `${current} / ${total}`;
+    const parts = [`${counts.done} / ${counts.total} saved`];
+    if (counts.open > 0) parts.push(`${counts.open} in flight`);
+    if (counts.queued > 0) parts.push(`${counts.queued} queued`);
+    if (counts.skipped > 0) parts.push(`${counts.skipped} skipped`);
+    if (counts.timedOut > 0) parts.push(`${counts.timedOut} timed out`);
+    if (counts.failed > 0) parts.push(`${counts.failed} failed`);
+    if (!running && counts.total > 0) {
+      parts.push(counts.open + counts.queued > 0 ? 'stopped' : 'finished');
+    }
+    progressText.textContent = parts.join(' · ');
   }
-  const percent = total === 0 ? 0 : Math.round((current / total) * 100);
+  const percent = counts.total === 0 ? 0 : Math.round(((counts.done + counts.skipped) / counts.total) * 100);
   if (progressFill) {
     progressFill.style.width = `${percent}%`;
   }
 }
 
+function handleQueueChange(entries, running) {
+  updateProgress(entries, running);
+  if (openButton) openButton.disabled = running;
+  if (openSelectedButton) openSelectedButton.disabled = running || selectedIds.size === 0;
+  if (stopButton) stopButton.disabled = !running;
+  syncAttemptRecords(entries);
+  persistCurrentRun(entries, running);
+  renderHarvestList();
+  renderRuns();
+}
+
+function persistCurrentRun(entries, running) {
+  if (!currentRun) return;
+  const run = updateHarvestRun(currentRun, entries, running);
+  currentRun = run;
+  const index = storedRuns.findIndex((stored) => stored.id === run.id);
+  if (index === -1) {
+    storedRuns.unshift(run);
+  } else {
+    storedRuns[index] = run;
+  }
+  // Chain writes so an older snapshot can never land after a newer one.
+  runWrites = runWrites
+    .then(() => saveHarvestRun(run))
+    .catch((error) => console.warn('Unable to save harvest run:', error));
+}
+
+function syncAttemptRecords(entries) {
+  for (const entry of entries) {
+    const id = entry.item.id;
+    const existing = attemptRecords.get(id);
+    if (entry.status === 'done' || entry.status === 'skipped') {
+      if (!existing) continue;
+      attemptRecords.delete(id);
+      deleteHarvestAttempt(id).catch((error) => console.warn('Unable to delete harvest attempts:', error));
+      continue;
+    }
+    const failed = entry.status === 'failed' || entry.status === 'timed-out' || entry.retryAt !== null;
+    if (!failed) continue;
+    if (
+      existing &&
+      existing.attempts === entry.attempts &&
+      existing.lastError === entry.error &&
+      existing.needsAttention === entry.needsAttention
+    ) {
+      continue;
+    }
+    const record = {
+      id,
+      attempts: entry.attempts,
+      lastError: entry.error,
+      lastAttemptAt: entry.openedAt,
+      needsAttention: entry.needsAttention
+    };
+    attemptRecords.set(id, record);
+    saveHarvestAttempt(record).catch((error) => console.warn('Unable to save harvest attempts:', error));
+  }
+}
+
+async function clearAttention(id) {
+  attemptRecords.delete(id);
+  try {
+    await deleteHarvestAttempt(id);
+  } catch (error) {
+    console.warn('Unable to delete harvest attempts:', error);
+  }
+  renderHarvestList();
+}
+
+async function pruneStoredRuns() {
+  const excess = storedRuns.slice(MAX_STORED_RUNS);
+  storedRuns = storedRuns.slice(0, MAX_STORED_RUNS);
+  for (const run of excess) {
+    await deleteHarvestRun(run.id).catch((error) => console.warn('Unable to delete harvest run:', error));
+  }
+}
+
+function renderRuns() {
+  const busy = harvestQueue.running;
+  const activeRunId = busy ? currentRun?.id : null;
+  if (runHistoryList) {
+    runHistoryList.replaceChildren();
+    if (storedRuns.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'notice';
+      empty.textContent = 'No harvest runs yet.';
+      runHistoryList.append(empty);
+    }
+    for (const run of storedRuns) {
+      runHistoryList.append(createRunCard(run, { activeRunId, busy }));
+    }
+  }
+  if (resumeNotice) {
+    // Offer the latest run again on reload if it was cut short or left failures behind.
+    const latest = storedRuns[0];
+    const offer = latest && latest.id !== activeRunId && latest.state !== 'finished' && isRunResumable(latest);
+    resumeNotice.hidden = !offer;
+    const slot = resumeNotice.querySelector('[data-role="resume-card"]');
+    slot?.replaceChildren(...(offer ? [createRunCard(latest, { activeRunId, busy })] : []));
+  }
+}
+
+async function handleRunAction(event) {
+  const button = event.target.closest?.('[data-run-action]');
+  if (!button) return;
+  const run = storedRuns.find((stored) => stored.id === button.dataset.runId);
+  if (!run) return;
+  const action = button.dataset.runAction;
+
+  if (action === 'discard') {
+    if (harvestQueue.running && currentRun?.id === run.id) return;
+    if (!confirm('Discard this harvest run and its history?')) return;
+    try {
+      await deleteHarvestRun(run.id);
+    } catch (error) {
+      alert(error instanceof Error ? error.message : String(error));
+      return;
+    }
+    storedRuns = storedRuns.filter((stored) => stored.id !== run.id);
+    if (currentRun?.id === run.id) {
+      currentRun = null;
+    }
+    renderRuns();
+    return;
+  }
+
+  if (harvestQueue.running) {
+    alert('Stop the current harvest first.');
+    return;
+  }
+  const entries = restoreRunEntries(run, action === 'retry-failed' ? 'retry-failed' : 'resume');
+  if (entries.length === 0) return;
+  await runHarvest(run, entries);
+}
+
+function buildTabUrl(item, { reportBack = true } = {}) {
+  const appendAuto = autoCheckbox?.checked ?? true;
+  if (!appendAuto) return item.pageUrl;
+  // The userscript only posts status messages back to http(s) origins.
+  const harvestOrigin =
+    reportBack && /^https?:$/.test(window.location.protocol) ? window.location.origin : '';
+  return buildHarvestUrl(item.pageUrl, harvestOrigin);
+}
+
+function openHarvestTab(item) {
+  // No `noopener`: the returned window is needed to notice when the userscript closes the tab.
+  return window.open(buildTabUrl(item), '_blank');
+}
+
+function formatOffset(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `+${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `+${minutes}:${seconds}`;
+}
+
+function showDryRun(items) {
+  if (!dryRunPanel) return;
+  const options = readQueueOptions();
+  const schedule = planHarvestSchedule(items, options);
+  const heading = document.createElement('p');
+  heading.className = 'notice';
+  heading.dataset.state = 'info';
+  const strong = document.createElement('strong');
+  strong.textContent = 'Dry run — no tabs were opened.';
+  const tabs = items.length === 1 ? '1 tab' : `${items.length} tabs`;
+  heading.append(
+    strong,
+    ` ${tabs}, at most ${options.concurrency} at a time. Later tabs wait for a free slot; their time is the latest they would open if every earlier tab timed out.`
+  );
+
+  const list = document.createElement('ol');
+  list.className = 'dry-run-list';
+  for (const step of schedule) {
+    const row = document.createElement('li');
+    const time = document.createElement('span');
+    time.className = 'dry-run-time';
+    time.textContent = step.exact ? formatOffset(step.opensAt) : `by ${formatOffset(step.opensAt)}`;
+    const id = document.createElement('span');
+    id.textContent = step.item.id;
+    const url = document.createElement('code');
+    url.textContent = buildTabUrl(step.item);
+    row.append(time, id, url);
+    list.append(row);
+  }
+  dryRunPanel.replaceChildren(heading, list);
+  dryRunPanel.hidden = false;
+}
+
+function getExportItems() {
+  return selectedIds.size > 0 ? getSelectedItems() : getMatchingMissingItems();
+}
+
+function exportMissing(format) {
+  const items = getExportItems();
+  if (items.length === 0) {
+    if (exportStatus) exportStatus.textContent = 'Nothing to export — no missing items match.';
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'urls') {
+    // Meant for another machine, so tabs opened from the list do not report back here.
+    const text = items.map((item) => buildTabUrl(item, { reportBack: false })).join('\n') + '\n';
+    downloadBlob(new Blob([text], { type: 'text/plain' }), `sora_missing_${stamp}.txt`);
+  } else if (format === 'csv') {
+    const rows = [['id', 'pageUrl', 'prompt', 'thumbExpiresAt']];
+    for (const item of items) {
+      const expiresAt = typeof item.thumbExpiresAt === 'number' ? new Date(item.thumbExpiresAt).toISOString() : '';
+      rows.push([item.id, item.pageUrl, resolvePrompt(item, archiveData.byId.get(item.id)?.meta), expiresAt]);
+    }
+    downloadBlob(new Blob([formatCsv(rows)], { type: 'text/csv' }), `sora_missing_${stamp}.csv`);
+  } else {
+    const data = buildIndexExport(items, archiveData.byId);
+    downloadBlob(
+      new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+      `sora_missing_${stamp}.json`
+    );
+  }
+  if (exportStatus) {
+    const scope = selectedIds.size > 0 ? 'selected' : 'matching missing';
+    exportStatus.textContent = `Exported ${items.length} ${scope} ${items.length === 1 ? 'item' : 'items'}.`;
+  }
+}
+
+function handleSaverMessage(event) {
+  const message = parseSaverMessage(event);
+  if (!message) return;
+  harvestQueue.report(event.source, message);
+}
+
+async function rescanArchive() {
+  if (!archiveDirectory) return;
+  try {
+    archiveData = await scanArchiveDirectory(archiveDirectory);
+    setArchiveStatus(`Rescanned. Media files: ${archiveData.mediaCount}, meta files: ${archiveData.metaCount}${describeEmbeddedCount(archiveData)}.`);
+  } catch (error) {
+    setArchiveStatus(`Rescan failed: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+function canTrackSaves() {
+  if (!archiveDirectory) {
+    alert('Connect the archive folder first so saved items can be detected.');
+    return false;
+  }
+  if (archiveDirectory.snapshot) {
+    alert('This browser only gave the page a one-off copy of the folder, so new files cannot be detected. Harvest from a browser that supports folder access, or open items manually.');
+    return false;
+  }
+  return true;
+}
+
+function readQueueOptions() {
+  const timeoutSeconds = Number(timeoutInput?.value) || 0;
+  return {
+    concurrency: Number(concurrencyInput?.value) || DEFAULT_CONCURRENCY,
+    timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : DEFAULT_ITEM_TIMEOUT_MS,
+    openDelayMs: Number(delayInput.value) || 0,
+    maxAttempts: Number(maxAttemptsInput?.value) || DEFAULT_MAX_ATTEMPTS
+  };
+}
+
+async function runHarvest(run, entries) {
+  if (!canTrackSaves()) return;
+  const options = readQueueOptions();
+  currentRun = { ...run, options };
+  try {
+    await harvestQueue.run(entries, options);
+  } catch (error) {
+    alert(error instanceof Error ? error.message : String(error));
+  }
+}
+
 async function openMissing() {
   if (normalizedIndex.length === 0) {
     alert('Load the gallery index first.');
     return;
   }
   const limit = Number(openLimitInput.value) || 0;
-  const delay = Number(delayInput.value) || 0;
-  const appendAuto = autoCheckbox.checked;
 
-  const missingItems = normalizedIndex.filter((item) => {
-    const offlineEntry = archiveData.byId.get(item.id);
-    return !offlineEntry || offlineEntry.files.length === 0;
-  });
+  const includeFlagged = includeAttentionCheckbox?.checked ?? false;
+  const missingItems = getMatchingMissingItems({ includeFlagged });
 
   if (missingItems.length === 0) {
-    alert('All items already have offline files.');
+    if (!includeFlagged && getMatchingMissingItems().length > 0) {
+      alert('Every matching missing item needs attention. Tick “Include items that need attention” to try them again.');
+    } else {
+      alert(searchTerm ? 'No missing items match the current filter.' : 'All items already have offline files.');
+    }
     return;
   }
 
   const slice = limit > 0 ? missingItems.slice(0, limit) : missingItems;
-  updateProgress(0, slice.length);
-
-  for (let i = 0; i < slice.length; i += 1) {
-    const item = slice[i];
-    const url = buildAutoUrl(item.pageUrl, appendAuto);
-    window.open(url, '_blank', 'noopener');
-    updateProgress(i + 1, slice.length);
-    if (delay > 0 && i < slice.length - 1) {
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
+  await startNewRun(slice, { source: 'missing' });
+}
+
+async function openSelected() {
+  const items = getSelectedItems();
+  if (items.length === 0) {
+    alert('Tick the items to harvest first.');
+    return;
+  }
+  if (await startNewRun(items, { source: 'selection' })) {
+    selectedIds.clear();
+    renderHarvestList();
   }
 }
 
+/**
+ * Start a harvest run for the given items, or only show its schedule in dry-run mode.
+ * @returns {Promise<boolean>} whether tabs were actually opened
+ */
+async function startNewRun(items, { source }) {
+  if (dryRunCheckbox?.checked) {
+    showDryRun(items);
+    return false;
+  }
+  if (!canTrackSaves()) return false;
+  if (dryRunPanel) dryRunPanel.hidden = true;
+  const entries = items.map((item) => {
+    const record = attemptRecords.get(item.id);
+    return createHarvestEntry(item, {
+      attempts: record?.attempts ?? 0,
+      lastError: record?.lastError ?? null,
+      needsAttention: record?.needsAttention ?? false
+    });
+  });
+  const run = createHarvestRun(entries, { filter: searchTerm, source, options: readQueueOptions() });
+  storedRuns.unshift(run);
+  await pruneStoredRuns();
+  await runHarvest(run, entries);
+  return true;
+}
+
 async function init() {
-  loadIndexButton?.addEventListener('click', () => hiddenIndexInput?.click());
+  loadIndexButton?.addEventListener('click', () => {
+    indexFileMode = 'replace';
+    hiddenIndexInput?.click();
+  });
+  mergeIndexButton?.addEventListener('click', () => {
+    indexFileMode = 'merge';
+    hiddenIndexInput?.click();
+  });
   hiddenIndexInput?.addEventListener('change', handleIndexFileSelection);
+  if (dropOverlay) {
+    setupDropZone(dropOverlay, {
+      onIndexFiles: async (files) => {
+        try {
+          await loadIndexFiles(files, { merge: normalizedIndex.length > 0 });
+        } catch (error) {
+          setIndexStatus(error instanceof Error ? error.message : String(error), 'error');
+        }
+      },
+      onDirectory: (directory, { persistHandle }) =>
+        connectArchiveDirectory(directory, {
+          persistHandle,
+          sourceLabel: `dropped folder (${directory.name})`
+        })
+    });
+  }
   connectFolderButton?.addEventListener('click', pickArchiveFolder);
+  archiveFolderInput?.addEventListener('change', handleArchiveFolderInput);
   connectPreferredButton?.addEventListener('click', connectPreferredFolder);
   openButton?.addEventListener('click', openMissing);
+  openSelectedButton?.addEventListener('click', openSelected);
+  exportUrlsButton?.addEventListener('click', () => exportMissing('urls'));
+  exportCsvButton?.addEventListener('click', () => exportMissing('csv'));
+  exportJsonButton?.addEventListener('click', () => exportMissing('json'));
+  dryRunCheckbox?.addEventListener('change', () => {
+    if (!dryRunCheckbox.checked && dryRunPanel) dryRunPanel.hidden = true;
+  });
+  sortSelect?.addEventListener('change', (event) => {
+    sortOrder = event.target.value;
+    renderHarvestList();
+  });
+  selectMatchingButton?.addEventListener('click', () => {
+    for (const item of getMatchingMissingItems()) {
+      selectedIds.add(item.id);
+    }
+    renderHarvestList();
+  });
+  clearSelectionButton?.addEventListener('click', () => {
+    selectedIds.clear();
+    renderHarvestList();
+  });
+  harvestList?.addEventListener('change', (event) => {
+    const checkbox = event.target.closest?.('[data-select-id]');
+    if (!checkbox) return;
+    if (checkbox.checked) {
+      selectedIds.add(checkbox.dataset.selectId);
+    } else {
+      selectedIds.delete(checkbox.dataset.selectId);
+    }
+    updateSelectionUI();
+  });
+  stopButton?.addEventListener('click', () => harvestQueue.stop());
+  window.addEventListener('message', handleSaverMessage);
+  resumeNotice?.addEventListener('click', handleRunAction);
+  harvestList?.addEventListener('click', (event) => {
+    const button = event.target.closest?.('[data-clear-attention]');
+    if (button) clearAttention(button.dataset.clearAttention);
+  });
+  includeAttentionCheckbox?.addEventListener('change', renderHarvestList);
+  runHistoryList?.addEventListener('click', handleRunAction);
+  searchInput?.addEventListener('input', (event) => {
+    searchTerm = event.target.value.trim();
+    renderHarvestList();
+  });
 
   preferredPathInput?.addEventListener('change', (event) => {
     const input = event.target.value;
@@ -279,6 +869,19 @@ async function init() {
   });
 
   syncPreferredPathUI();
+  storedRuns = await getHarvestRuns();
+  attemptRecords = await getHarvestAttempts();
+  renderRuns();
+
+  if (!supportsDirectoryPicker()) {
+    if (folderFallbackNotice) {
+      folderFallbackNotice.hidden = false;
+    }
+    if (connectPreferredButton) {
+      connectPreferredButton.disabled = true;
+      connectPreferredButton.title = 'This browser cannot open folders by path.';
+    }
+  }
 
   setIndexStatus('Loading default index…', 'loading');
   const defaultIndex = await loadDefaultIndex();
@@ -0,0 +1,389 @@
+/**
+ * Harvest queue: opens generation pages with a cap on how many tabs are in
+ * flight, and tracks each item until its `.meta.json`, or media carrying
+ * embedded metadata, shows up on a rescan of the archive folder. The userscript
+ * writes the meta file after the media and embeds the metadata before saving
+ * it, so either means the item was actually saved.
+ *
+ * Tabs opened with a `harvest=<origin>` parameter also report their progress
+ * back through `window.opener.postMessage`; see `parseSaverMessage`.
+ */
+
+export const SAVER_ORIGIN = 'https://sora.chatgpt.com';
+const SAVER_MESSAGE_SOURCE = 'sora-auto-saver';
+const SAVER_STATUSES = new Set(['started', 'media-found', 'downloaded', 'skipped', 'failed']);
+// Final states that are neither retried nor flagged: saved, or deliberately
+// not downloaded again because the userscript's ledger already has the item.
+const SETTLED_STATUSES = new Set(['done', 'skipped']);
+
+export const DEFAULT_CONCURRENCY = 3;
+export const DEFAULT_ITEM_TIMEOUT_MS = 3 * 60 * 1000;
+export const DEFAULT_RESCAN_INTERVAL_MS = 5000;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+// Failed items are retried after 30 s, 60 s, 120 s, … capped at 10 minutes.
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+// How long to keep rescanning after a tab that reported in closed before calling
+// it a failure; the browser may still be writing the downloads at that point.
+const CLOSED_GRACE_MS = 15000;
+
+/**
+ * @typedef {'queued' | 'open' | 'done' | 'skipped' | 'timed-out' | 'failed'} HarvestStatus
+ * @typedef {'started' | 'media-found' | 'downloaded' | 'skipped' | 'failed'} SaverStatus
+ * @typedef {{ item: { id: string, pageUrl: string }, status: HarvestStatus, saverStatus: SaverStatus | null, attempts: number, retryAt: number | null, needsAttention: boolean, openedAt: number | null, closedAt: number | null, finishedAt: number | null, error: string | null, tab: Window | null }} HarvestEntry
+ * @typedef {{ id: string, pageUrl: string, status: HarvestStatus, saverStatus: SaverStatus | null, attempts: number, retryAt: number | null, needsAttention: boolean, lastError: string | null, openedAt: number | null, finishedAt: number | null }} SavedHarvestItem
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before the next attempt of an item that has failed `attempts` times.
+ * @param {number} attempts
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Create a queue entry, optionally restoring the state of a saved run item.
+ * `attempts` counts every earlier try of the id, so retries stay within the
+ * limit across runs.
+ * @param {{ id: string, pageUrl: string }} item
+ * @param {Partial<SavedHarvestItem>} [saved]
+ * @returns {HarvestEntry}
+ */
+export function createHarvestEntry(item, saved = {}) {
+  return {
+    item: { id: item.id, pageUrl: item.pageUrl },
+    status: saved.status ?? 'queued',
+    saverStatus: saved.saverStatus ?? null,
+    attempts: saved.attempts ?? 0,
+    retryAt: saved.retryAt ?? null,
+    needsAttention: saved.needsAttention ?? false,
+    openedAt: saved.openedAt ?? null,
+    closedAt: null,
+    finishedAt: saved.finishedAt ?? null,
+    error: saved.lastError ?? null,
+    tab: null
+  };
+}
+
+/**
+ * Plain-data copy of an entry for persisting a run; window references are dropped.
+ * @param {HarvestEntry} entry
+ * @returns {SavedHarvestItem}
+ */
+export function serializeHarvestEntry(entry) {
+  return {
+    id: entry.item.id,
+    pageUrl: entry.item.pageUrl,
+    status: entry.status,
+    saverStatus: entry.saverStatus,
+    attempts: entry.attempts,
+    retryAt: entry.retryAt,
+    needsAttention: entry.needsAttention,
+    lastError: entry.error,
+    openedAt: entry.openedAt,
+    finishedAt: entry.finishedAt
+  };
+}
+
+/**
+ * Validate a message posted by the userscript to the harvest page.
+ * @param {MessageEvent} event
+ * @returns {{ id: string, status: SaverStatus, error: string | null } | null}
+ */
+export function parseSaverMessage(event) {
+  if (event.origin !== SAVER_ORIGIN) return null;
+  const data = event.data;
+  if (!data || typeof data !== 'object' || data.source !== SAVER_MESSAGE_SOURCE) return null;
+  if (data.type !== 'harvest-status' || !SAVER_STATUSES.has(data.status)) return null;
+  if (typeof data.id !== 'string') return null;
+  return {
+    id: data.id,
+    status: data.status,
+    error: typeof data.error === 'string' ? data.error : null
+  };
+}
+
+/**
+ * Add the parameters that make the userscript save automatically and report
+ * back to this page.
+ * @param {string} url
+ * @param {string} harvestOrigin origin of the harvest page, or an empty string to skip reporting
+ */
+export function buildHarvestUrl(url, harvestOrigin) {
+  const parsed = new URL(url);
+  parsed.searchParams.set('auto', '1');
+  if (harvestOrigin) {
+    parsed.searchParams.set('harvest', harvestOrigin);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Predict when each item's tab would be opened, without opening anything.
+ * The first `concurrency` tabs open at fixed offsets; later tabs wait for a
+ * free slot, so their time is the latest it could be, assuming every earlier
+ * tab runs into the timeout. Retries are not included.
+ * @param {Array<{ id: string, pageUrl: string }>} items
+ * @param {{ concurrency?: number, timeoutMs?: number, openDelayMs?: number, rescanIntervalMs?: number }} [options]
+ * @returns {Array<{ item: { id: string, pageUrl: string }, order: number, opensAt: number, exact: boolean }>}
+ */
+export function planHarvestSchedule(
+  items,
+  {
+    concurrency = DEFAULT_CONCURRENCY,
+    timeoutMs = DEFAULT_ITEM_TIMEOUT_MS,
+    openDelayMs = 0,
+    rescanIntervalMs = DEFAULT_RESCAN_INTERVAL_MS
+  } = {}
+) {
+  const limit = Math.max(1, concurrency);
+  // A timed-out tab is only noticed on the first rescan after its timeout.
+  const slotHeldFor = Math.ceil(timeoutMs / rescanIntervalMs) * rescanIntervalMs;
+  const slotFreeAt = [];
+  let lastOpenedAt = 0;
+  return items.map((item, index) => {
+    let opensAt = index * openDelayMs;
+    if (index >= limit) {
+      slotFreeAt.sort((a, b) => a - b);
+      opensAt = Math.max(slotFreeAt.shift(), lastOpenedAt + openDelayMs);
+    }
+    slotFreeAt.push(opensAt + slotHeldFor);
+    lastOpenedAt = opensAt;
+    return { item, order: index + 1, opensAt, exact: index < limit };
+  });
+}
+
+/**
+ * Summarise queue entries by status.
+ * @param {HarvestEntry[]} entries
+ */
+export function countHarvestStatuses(entries) {
+  const counts = { total: entries.length, queued: 0, open: 0, done: 0, skipped: 0, timedOut: 0, failed: 0 };
+  for (const entry of entries) {
+    if (entry.status === 'queued') counts.queued += 1;
+    else if (entry.status === 'open') counts.open += 1;
+    else if (entry.status === 'done') counts.done += 1;
+    else if (entry.status === 'skipped') counts.skipped += 1;
+    else if (entry.status === 'timed-out') counts.timedOut += 1;
+    else if (entry.status === 'failed') counts.failed += 1;
+  }
+  return counts;
+}
+
+/**
+ * Create a harvest queue.
+ * @param {{
+ *   openTab: (item: { id: string, pageUrl: string }) => Window | null,
+ *   rescan: () => Promise<unknown>,
+ *   isSaved: (id: string) => boolean,
+ *   onChange?: (entries: HarvestEntry[], running: boolean) => void
+ * }} callbacks
+ */
+export function createHarvestQueue({ openTab, rescan, isSaved, onChange }) {
+  /** @type {HarvestEntry[]} */
+  let entries = [];
+  let running = false;
+  let stopRequested = false;
+  let maxAttempts = DEFAULT_MAX_ATTEMPTS;
+
+  function notify() {
+    onChange?.(entries, running);
+  }
+
+  function finish(entry, status, error = null) {
+    const now = Date.now();
+    entry.error = error;
+    entry.finishedAt = now;
+    if (!SETTLED_STATUSES.has(status) && entry.attempts < maxAttempts) {
+      // Close a tab left on an error page before the retry opens a fresh one.
+      try {
+        entry.tab?.close();
+      } catch (closeError) {
+        // The tab may already be gone.
+      }
+      entry.status = 'queued';
+      entry.retryAt = now + getRetryDelay(entry.attempts);
+    } else {
+      entry.status = status;
+      entry.retryAt = null;
+      entry.needsAttention = !SETTLED_STATUSES.has(status);
+    }
+    entry.tab = null;
+  }
+
+  function openEntry(entry) {
+    entry.attempts += 1;
+    entry.retryAt = null;
+    entry.openedAt = Date.now();
+    entry.closedAt = null;
+    entry.finishedAt = null;
+    entry.saverStatus = null;
+    entry.error = null;
+    let tab = null;
+    try {
+      tab = openTab(entry.item);
+    } catch (error) {
+      finish(entry, 'failed', error instanceof Error ? error.message : String(error));
+      return;
+    }
+    if (!tab) {
+      finish(entry, 'failed', 'The browser blocked the tab. Allow pop-ups for this page and retry.');
+      return;
+    }
+    entry.tab = tab;
+    entry.status = 'open';
+  }
+
+  function settle(timeoutMs) {
+    const now = Date.now();
+    for (const entry of entries) {
+      if (entry.status !== 'open') continue;
+      if (isSaved(entry.item.id)) {
+        finish(entry, 'done');
+      } else if (now - entry.openedAt > timeoutMs) {
+        finish(entry, 'timed-out', 'No meta file appeared before the timeout.');
+      } else if (entry.saverStatus && entry.tab?.closed) {
+        // Only trusted once the tab has reported in: a site that severs the
+        // opener makes every tab look closed straight away.
+        entry.closedAt ??= now;
+        if (now - entry.closedAt > CLOSED_GRACE_MS) {
+          finish(
+            entry,
+            'failed',
+            entry.saverStatus === 'downloaded'
+              ? 'Downloaded, but no meta file appeared in the archive folder. Check the browser download location.'
+              : 'The tab closed without saving a meta file.'
+          );
+        }
+      }
+    }
+    // Items given up on or waiting for a retry may still land later, e.g. after a slow download.
+    for (const entry of entries) {
+      const waiting = entry.status === 'queued' && entry.retryAt !== null;
+      if ((waiting || entry.status === 'failed' || entry.status === 'timed-out') && isSaved(entry.item.id)) {
+        finish(entry, 'done');
+      }
+    }
+  }
+
+  /**
+   * Record a status reported by the userscript running in one of the queue's tabs.
+   * @param {MessageEventSource | null} source the window that posted the message
+   * @param {{ id: string, status: SaverStatus, error: string | null }} message
+   * @returns {boolean} whether the message belonged to a tracked item
+   */
+  function report(source, message) {
+    const entry = entries.find((candidate) => candidate.tab && candidate.tab === source);
+    if (!entry || entry.item.id !== message.id) return false;
+    entry.saverStatus = message.status;
+    if (message.status === 'failed') {
+      finish(entry, 'failed', message.error || 'The userscript could not save this item.');
+    } else if (message.status === 'skipped') {
+      finish(entry, 'skipped', message.error || 'Already downloaded; skipped by the userscript settings.');
+    }
+    notify();
+    return true;
+  }
+
+  /**
+   * Work through queue entries, e.g. ones restored from a saved run. Queued
+   * entries are opened; entries in any other state are kept as they are.
+   * Failures are re-queued with exponential backoff until an entry has been
+   * tried `maxAttempts` times, after which it is flagged `needsAttention`.
+   * Resolves once nothing is queued or open, or after `stop()` was called.
+   * @param {HarvestEntry[]} nextEntries
+   * @param {{ concurrency?: number, timeoutMs?: number, openDelayMs?: number, rescanIntervalMs?: number, maxAttempts?: number }} [options]
+   * @returns {Promise<HarvestEntry[]>}
+   */
+  async function run(
+    nextEntries,
+    {
+      concurrency = DEFAULT_CONCURRENCY,
+      timeoutMs = DEFAULT_ITEM_TIMEOUT_MS,
+      openDelayMs = 0,
+      rescanIntervalMs = DEFAULT_RESCAN_INTERVAL_MS,
+      maxAttempts: attemptLimit = DEFAULT_MAX_ATTEMPTS
+    } = {}
+  ) {
+    if (running) {
+      throw new Error('A harvest is already running.');
+    }
+    entries = nextEntries;
+    maxAttempts = Math.max(1, attemptLimit);
+    for (const entry of entries) {
+      if (entry.status === 'queued' && isSaved(entry.item.id)) {
+        finish(entry, 'done');
+      }
+    }
+    running = true;
+    stopRequested = false;
+    const limit = Math.max(1, concurrency);
+    notify();
+
+    try {
+      while (!stopRequested) {
+        let openedThisRound = false;
+        for (const entry of entries) {
+          if (stopRequested) break;
+          if (countHarvestStatuses(entries).open >= limit) break;
+          if (entry.status !== 'queued') continue;
+          if (entry.retryAt && entry.retryAt > Date.now()) continue;
+          if (openedThisRound && openDelayMs > 0) {
+            await sleep(openDelayMs);
+            if (stopRequested) break;
+          }
+          openEntry(entry);
+          openedThisRound = true;
+          notify();
+        }
+
+        const counts = countHarvestStatuses(entries);
+        if (counts.open === 0 && counts.queued === 0) break;
+
+        await sleep(rescanIntervalMs);
+        if (stopRequested) break;
+        await rescan();
+        settle(timeoutMs);
+        notify();
+      }
+    } finally {
+      running = false;
+      notify();
+    }
+    return entries;
+  }
+
+  /**
+   * Harvest the given items from scratch.
+   * @param {Array<{ id: string, pageUrl: string }>} items
+   * @param {Parameters<typeof run>[1]} [options]
+   */
+  function start(items, options) {
+    return run(items.map((item) => createHarvestEntry(item)), options);
+  }
+
+  /**
+   * Stop opening tabs and stop tracking open ones. Tabs already open are left alone.
+   */
+  function stop() {
+    stopRequested = true;
+  }
+
+  return {
+    start,
+    run,
+    stop,
+    report,
+    get entries() {
+      return entries;
+    },
+    get running() {
+      return running;
+    }
+  };
+}
@@ -0,0 +1,216 @@
+import { countHarvestStatuses, createHarvestEntry, serializeHarvestEntry } from './harvestQueue.js';
+
+/**
+ * Harvest runs as stored in IndexedDB: the queue of one batch with per-item
+ * attempts, last error and timestamps, so a batch survives a page reload and
+ * can be resumed or retried later.
+ */
+
+export const MAX_STORED_RUNS = 20;
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   startedAt: number,
+ *   updatedAt: number,
+ *   finishedAt: number | null,
+ *   state: 'running' | 'stopped' | 'finished',
+ *   filter: string,
+ *   source: 'missing' | 'selection',
+ *   options: { concurrency: number, timeoutMs: number, openDelayMs: number },
+ *   items: import('./harvestQueue.js').SavedHarvestItem[]
+ * }} HarvestRun
+ */
+
+/**
+ * Start a new run record for a set of queue entries.
+ * @param {import('./harvestQueue.js').HarvestEntry[]} entries
+ * @param {{ filter?: string, source?: HarvestRun['source'], options: HarvestRun['options'] }} details
+ * @returns {HarvestRun}
+ */
+export function createHarvestRun(entries, { filter = '', source = 'missing', options }) {
+  const now = Date.now();
+  return {
+    id: `run-${now.toString(36)}`,
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    state: 'running',
+    filter,
+    source,
+    options,
+    items: entries.map(serializeHarvestEntry)
+  };
+}
+
+/**
+ * Copy the state of the entries being worked on into a run. Items of the run
+ * that are not part of `entries` (e.g. pending ones during a failed-only
+ * retry) are kept unchanged.
+ * @param {HarvestRun} run
+ * @param {import('./harvestQueue.js').HarvestEntry[]} entries
+ * @param {boolean} running
+ * @returns {HarvestRun}
+ */
+export function updateHarvestRun(run, entries, running) {
+  const updates = new Map(entries.map((entry) => [entry.item.id, serializeHarvestEntry(entry)]));
+  const items = run.items.map((item) => updates.get(item.id) ?? item);
+  const counts = countHarvestStatuses(items);
+  const now = Date.now();
+  let state = 'running';
+  if (!running) {
+    state = counts.queued + counts.open > 0 ? 'stopped' : 'finished';
+  }
+  return {
+    ...run,
+    items,
+    state,
+    updatedAt: now,
+    finishedAt: state === 'finished' ? now : null
+  };
+}
+
+/**
+ * Build queue entries to continue a run.
+ * `resume` picks up items that were never opened or were in flight when the
+ * run stopped; `retry-failed` re-queues only failed and timed-out items.
+ * @param {HarvestRun} run
+ * @param {'resume' | 'retry-failed'} mode
+ */
+export function restoreRunEntries(run, mode) {
+  const selected = mode === 'resume' ? ['queued', 'open'] : ['failed', 'timed-out'];
+  return run.items
+    .filter((item) => selected.includes(item.status))
+    .map((item) => createHarvestEntry(item, { ...item, status: 'queued', retryAt: null }));
+}
+
+/**
+ * Counts used to describe a run and decide which actions it offers.
+ * @param {HarvestRun} run
+ */
+export function summarizeHarvestRun(run) {
+  const counts = countHarvestStatuses(run.items);
+  return {
+    ...counts,
+    pending: counts.queued + counts.open,
+    unsuccessful: counts.failed + counts.timedOut
+  };
+}
+
+/**
+ * Whether a run still has work left that the user may want to continue.
+ * @param {HarvestRun} run
+ */
+export function isRunResumable(run) {
+  const summary = summarizeHarvestRun(run);
+  return summary.pending > 0 || summary.unsuccessful > 0;
+}
+
+function describeState(run, activeRunId) {
+  if (run.state === 'running') {
+    return run.id === activeRunId
+      ? { label: 'Running', className: 'archive' }
+      : { label: 'Interrupted', className: 'missing' };
+  }
+  if (run.state === 'stopped') return { label: 'Stopped', className: 'missing' };
+  const summary = summarizeHarvestRun(run);
+  return summary.unsuccessful > 0
+    ? { label: 'Finished with errors', className: 'error' }
+    : { label: 'Finished', className: 'offline' };
+}
+
+function describeCounts(summary, isActive) {
+  const parts = [`${summary.done} / ${summary.total} saved`];
+  if (summary.skipped > 0) parts.push(`${summary.skipped} skipped`);
+  if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+  if (summary.timedOut > 0) parts.push(`${summary.timedOut} timed out`);
+  if (summary.open > 0) parts.push(isActive ? `${summary.open} in flight` : `${summary.open} in flight when stopped`);
+  if (summary.queued > 0) parts.push(`${summary.queued} waiting`);
+  return parts.join(' · ');
+}
+
+function createActionButton(run, action, label, { disabled = false, className = 'secondary' } = {}) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.dataset.runAction = action;
+  button.dataset.runId = run.id;
+  button.textContent = label;
+  button.disabled = disabled;
+  return button;
+}
+
+function createProblemList(run) {
+  const problems = run.items.filter((item) => item.status === 'failed' || item.status === 'timed-out');
+  if (problems.length === 0) return null;
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `Show ${problems.length} unsuccessful ${problems.length === 1 ? 'item' : 'items'}`;
+  const list = document.createElement('ul');
+  list.className = 'run-problems';
+  for (const item of problems) {
+    const row = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = item.pageUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = item.id;
+    const attempts = item.attempts === 1 ? '1 attempt' : `${item.attempts} attempts`;
+    row.append(link, ` — ${attempts}${item.lastError ? `: ${item.lastError}` : ''}`);
+    list.append(row);
+  }
+  details.append(summary, list);
+  return details;
+}
+
+/**
+ * Build the card for one run with its resume, retry and discard actions.
+ * Buttons carry `data-run-action` and `data-run-id` for delegated handling.
+ * @param {HarvestRun} run
+ * @param {{ activeRunId?: string | null, busy?: boolean }} [options]
+ * @returns {HTMLElement}
+ */
+export function createRunCard(run, { activeRunId = null, busy = false } = {}) {
+  const summary = summarizeHarvestRun(run);
+  const state = describeState(run, activeRunId);
+  const isActive = busy && run.id === activeRunId;
+
+  const card = document.createElement('div');
+  card.className = 'harvest-item run-entry';
+
+  const header = document.createElement('div');
+  header.className = 'summary';
+  const title = document.createElement('span');
+  const started = new Date(run.startedAt).toLocaleString();
+  if (run.source === 'selection') {
+    title.textContent = `${started} — ${run.items.length} selected ${run.items.length === 1 ? 'item' : 'items'}`;
+  } else {
+    title.textContent = run.filter ? `${started} — filter “${run.filter}”` : started;
+  }
+  const badge = document.createElement('span');
+  badge.className = `badge ${state.className}`;
+  badge.textContent = state.label;
+  header.append(title, badge);
+
+  const counts = document.createElement('p');
+  counts.className = 'muted';
+  counts.textContent = describeCounts(summary, isActive);
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  if (summary.pending > 0) {
+    actions.append(createActionButton(run, 'resume', `Resume (${summary.pending})`, { disabled: busy }));
+  }
+  if (summary.unsuccessful > 0) {
+    actions.append(
+      createActionButton(run, 'retry-failed', `Retry failed (${summary.unsuccessful})`, { disabled: busy })
+    );
+  }
+  actions.append(createActionButton(run, 'discard', 'Discard', { disabled: isActive, className: 'ghost' }));
+
+  card.append(header, counts);
+  const problems = createProblemList(run);
+  if (problems) card.append(problems);
+  card.append(actions);
+  return card;
+}
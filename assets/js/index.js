@@ -1,7 +1,13 @@
 import {
   loadDefaultIndex,
-  parseIndexFile,
-  resolvePrompt
+  parseIndexFiles,
+  describeIndexMerge,
+  resolvePrompt,
+  getExpiryState,
+  parseSearchQuery,
+  mergeArchiveOnlyItems,
+  buildIndexExport,
+  getItemStatus
 } from './data.js';
 import {
   saveDirectoryHandle,
@@ -10,7 +16,8 @@ import {
 import {
   scanArchiveDirectory,
   ensureReadPermission,
-  validateStoredHandle
+  validateStoredHandle,
+  describeEmbeddedCount
 } from './fsScanner.js';
 import {
   attemptPreferredArchiveDirectory,
@@ -18,6 +25,14 @@ import {
   setPreferredArchivePath,
   DEFAULT_PREFERRED_ARCHIVE_PATH
 } from './preferredFolder.js';
+import { setupDropZone } from './dropZone.js';
+import { createFileListDirectory, supportsDirectoryPicker } from './archiveSources.js';
+import { loadThumbnail } from './thumbCache.js';
+import { createVirtualGrid } from './virtualGrid.js';
+import { createSearchIndex, tokenize } from './searchIndex.js';
+import { createLightbox } from './lightbox.js';
+import { loadStoredLedger, mergeLedgers, parseLedgerFile, storeLedger } from './downloadLedger.js';
+import { downloadBlob } from './downloadFile.js';
 
 const galleryGrid = document.querySelector('.gallery-grid');
 const searchInput = document.querySelector('#search');
@@ -26,6 +41,7 @@ const statusStats = document.querySelector('.stats');
 const indexStatus = document.querySelector('#index-status');
 const archiveStatus = document.querySelector('#archive-status');
 const loadIndexButton = document.querySelector('#load-index-button');
+const mergeIndexButton = document.querySelector('#merge-index-button');
 const connectFolderButton = document.querySelector('#connect-folder');
 const connectPreferredButton = document.querySelector('#connect-preferred');
 const hiddenIndexInput = document.querySelector('#index-file-input');
@@ -35,10 +51,29 @@ const gridSizeInput = document.querySelector('#grid-size');
 const gridSizeValue = document.querySelector('#grid-size-value');
 const preferredPathInput = document.querySelector('#preferred-path');
 const preferredPathLabels = document.querySelectorAll('[data-role="preferred-path-label"]');
+const dropOverlay = document.querySelector('#drop-overlay');
+const archiveFolderInput = document.querySelector('#archive-folder-input');
+const folderFallbackNotice = document.querySelector('#folder-fallback-notice');
+const lightboxRoot = document.querySelector('#lightbox');
+const exportIndexButton = document.querySelector('#export-index');
+const exportFilteredCheckbox = document.querySelector('#export-filtered');
+const importLedgerButton = document.querySelector('#import-ledger-button');
+const ledgerFileInput = document.querySelector('#ledger-file-input');
+const forgetLedgerButton = document.querySelector('#forget-ledger-button');
 
 let normalizedIndex = [];
-let archiveData = { byId: new Map(), mediaCount: 0, metaCount: 0, errors: [] };
+// Whether the next file picker selection replaces or merges into the loaded index.
+let indexFileMode = 'replace';
+// The index plus archive entries that the index does not know about.
+let galleryItems = [];
+let archiveOnlyCount = 0;
+let visibleItems = [];
+let archiveData = { byId: new Map(), mediaCount: 0, metaCount: 0, embeddedCount: 0, errors: [] };
+// Generation ids the userscript reports as downloaded, imported from its ledger export.
+let downloadLedger = loadStoredLedger();
 let searchTerm = '';
+let highlightTerms = new Set();
+const searchIndex = createSearchIndex();
 const objectUrlCache = new Map();
 let showDetails = viewDetailsCheckbox?.checked ?? false;
 let galleryColumnWidth = gridSizeInput ? Number(gridSizeInput.value) : 300;
@@ -84,30 +119,71 @@ function revokeObjectUrls() {
   objectUrlCache.clear();
 }
 
+function releaseItemObjectUrls(item) {
+  const prefix = `${item.id}|`;
+  for (const [key, url] of objectUrlCache) {
+    if (key.startsWith(prefix)) {
+      URL.revokeObjectURL(url);
+      objectUrlCache.delete(key);
+    }
+  }
+}
+
 function formatStats() {
   if (!statusStats) return;
-  const total = normalizedIndex.length;
+  const total = galleryItems.length;
   let offline = 0;
-  for (const item of normalizedIndex) {
-    const offlineEntry = archiveData.byId.get(item.id);
-    if (offlineEntry && offlineEntry.files.length > 0) {
+  let downloaded = 0;
+  let expired = 0;
+  let expiring = 0;
+  const now = Date.now();
+  for (const item of galleryItems) {
+    const status = getItemStatus(archiveData.byId.get(item.id), downloadLedger.get(item.id));
+    if (status === 'offline') {
       offline += 1;
+    } else if (status === 'downloaded') {
+      downloaded += 1;
+    }
+    const expiryState = getExpiryState(item, now);
+    if (expiryState === 'expired') {
+      expired += 1;
+    } else if (expiryState === 'expiring') {
+      expiring += 1;
     }
   }
-  const missing = total - offline;
+  const missing = total - offline - downloaded;
+  const downloadedStat = downloadLedger.size > 0
+    ? `<span title="Downloaded by the userscript but not found in the archive folder"><strong>${downloaded}</strong> downloaded, not in folder</span>`
+    : '';
   statusStats.innerHTML = `
     <span><strong>${total}</strong> items</span>
     <span><strong>${offline}</strong> offline</span>
+    ${downloadedStat}
     <span><strong>${missing}</strong> missing</span>
+    <span title="Archive files whose id is not in the index"><strong>${archiveOnlyCount}</strong> archive only</span>
+    <span class="stat-expired" title="Signed thumbnail links that no longer work"><strong>${expired}</strong> links expired</span>
+    <span title="Signed thumbnail links that expire within 48 hours"><strong>${expiring}</strong> expiring soon</span>
   `;
+  statusStats.dataset.stale = expired > 0 ? 'true' : 'false';
 }
 
-function createBadge(entry) {
+function createBadge(entry, item) {
   const badge = document.createElement('span');
   badge.classList.add('badge');
-  if (entry && entry.files.length > 0) {
+  const ledgerEntry = downloadLedger.get(item.id);
+  const status = getItemStatus(entry, ledgerEntry);
+  if (item?.archiveOnly) {
+    badge.classList.add('archive');
+    badge.textContent = 'Archive only';
+    badge.title = 'Found in the archive folder but not in the index';
+  } else if (status === 'offline') {
     badge.classList.add('offline');
     badge.textContent = 'Offline';
+  } else if (status === 'downloaded') {
+    badge.classList.add('downloaded');
+    badge.textContent = 'Downloaded';
+    const when = ledgerEntry.downloadedAt ? ` on ${new Date(ledgerEntry.downloadedAt).toLocaleString()}` : '';
+    badge.title = `Saved by the userscript${when} but not found in the archive folder`;
   } else {
     badge.classList.add('missing');
     badge.textContent = 'Missing';
@@ -115,39 +191,12 @@ function createBadge(entry) {
   return badge;
 }
 
-async function openOfflineFile(handle) {
-  const pendingWindow = window.open('', '_blank');
-  if (!pendingWindow) {
-    alert('Pop-up blocked. Please allow pop-ups for this site to view offline files.');
-    return;
-  }
-
-  try {
-    if (pendingWindow.document) {
-      pendingWindow.document.title = 'Loading offline file…';
-      if (pendingWindow.document.body) {
-        pendingWindow.document.body.innerHTML =
-          '<main style="display:flex;align-items:center;justify-content:center;min-height:100vh;font-family:sans-serif;background:#0f1115;color:#e5ecff;">Loading offline file…</main>';
-      }
-    }
-
-    const file = await handle.getFile();
-    const url = URL.createObjectURL(file);
-    pendingWindow.location.replace(url);
-
-    const revokeLater = () => URL.revokeObjectURL(url);
-    pendingWindow.addEventListener('beforeunload', revokeLater, { once: true });
-    setTimeout(revokeLater, 60_000);
-  } catch (error) {
-    pendingWindow.close();
-    alert(`Unable to open file: ${error instanceof Error ? error.message : String(error)}`);
-  }
-}
-
-async function applyOfflinePreview(container, fileHandle) {
+async function applyOfflinePreview(container, fileHandle, itemId) {
   try {
     const file = await fileHandle.getFile();
-    const cacheKey = `${fileHandle.name}-${file.lastModified}`;
+    // The card may have scrolled out of the window while the file was read.
+    if (!container.isConnected) return;
+    const cacheKey = `${itemId}|offline|${fileHandle.name}-${file.lastModified}`;
     if (!objectUrlCache.has(cacheKey)) {
       objectUrlCache.set(cacheKey, URL.createObjectURL(file));
     }
@@ -173,6 +222,109 @@ async function applyOfflinePreview(container, fileHandle) {
   }
 }
 
+function showExpiredPreview(container) {
+  const placeholder = document.createElement('div');
+  placeholder.className = 'preview-expired';
+  placeholder.innerHTML = '<strong>Expired link</strong><span>No cached thumbnail or offline file.</span>';
+  container.replaceChildren(placeholder);
+}
+
+async function getThumbnailUrl(item, container) {
+  const cacheKey = `${item.id}|thumb`;
+  if (objectUrlCache.has(cacheKey)) {
+    return objectUrlCache.get(cacheKey);
+  }
+  try {
+    const blob = await loadThumbnail(item);
+    // The card may have been released while the thumbnail loaded; caching a
+    // URL for it now would leak until the next full revoke.
+    if (!blob || !container.isConnected) return null;
+    const url = URL.createObjectURL(blob);
+    objectUrlCache.set(cacheKey, url);
+    return url;
+  } catch (error) {
+    // The request itself failed (e.g. no CORS headers); let the browser try the URL directly.
+    console.debug('Thumbnail fetch failed, falling back to direct URL:', error);
+    return item.thumbUrl;
+  }
+}
+
+async function applyThumbnailPreview(container, image, item, offlineEntry) {
+  const fallback = () => {
+    if (offlineEntry && offlineEntry.files.length > 0) {
+      applyOfflinePreview(container, offlineEntry.files[0], item.id);
+    } else {
+      showExpiredPreview(container);
+    }
+  };
+  const url = await getThumbnailUrl(item, container);
+  if (!container.isConnected) return;
+  if (!url) {
+    fallback();
+    return;
+  }
+  image.addEventListener('error', fallback, { once: true });
+  image.src = url;
+}
+
+function renderHighlightedText(element, text, terms) {
+  if (terms.size === 0) {
+    element.textContent = text;
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  // Odd indices of the split hold the words, even indices the separators between them.
+  text.split(/([\p{L}\p{N}]+)/u).forEach((part, index) => {
+    if (index % 2 === 1 && tokenize(part).some((token) => terms.has(token))) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      fragment.append(mark);
+    } else if (part) {
+      fragment.append(part);
+    }
+  });
+  element.replaceChildren(fragment);
+}
+
+function createVariantSwitcher(entry, onChange) {
+  const count = entry.files.length;
+  let current = 0;
+  const switcher = document.createElement('div');
+  switcher.className = 'variant-switcher';
+  switcher.title = entry.files.map((file) => file.name).join('\n');
+
+  const prevButton = document.createElement('button');
+  prevButton.type = 'button';
+  prevButton.className = 'ghost';
+  prevButton.textContent = '‹';
+  prevButton.setAttribute('aria-label', 'Previous variant');
+
+  const label = document.createElement('span');
+  label.className = 'variant-label';
+
+  const nextButton = document.createElement('button');
+  nextButton.type = 'button';
+  nextButton.className = 'ghost';
+  nextButton.textContent = '›';
+  nextButton.setAttribute('aria-label', 'Next variant');
+
+  const update = (next) => {
+    current = (next + count) % count;
+    label.textContent = `${current + 1} / ${count}`;
+    onChange(current);
+  };
+  label.textContent = `1 / ${count}`;
+
+  prevButton.addEventListener('click', () => update(current - 1));
+  nextButton.addEventListener('click', () => update(current + 1));
+  // Keep clicks and key presses from reaching the preview's "open online" handler.
+  switcher.addEventListener('click', (event) => event.stopPropagation());
+  switcher.addEventListener('keydown', (event) => event.stopPropagation());
+
+  switcher.append(prevButton, label, nextButton);
+  return switcher;
+}
+
 function createCard(item) {
   const offlineEntry = archiveData.byId.get(item.id);
   const card = document.createElement('article');
@@ -186,36 +338,32 @@ function createCard(item) {
   previewImage.alt = item.id;
   previewImage.loading = 'lazy';
   const hasOfflineFile = offlineEntry && offlineEntry.files.length > 0;
-
-  if (item.thumbUrl && !preferOfflineCheckbox.checked) {
-    previewImage.src = item.thumbUrl;
-  } else {
-    previewImage.src = '';
-  }
   mediaContainer.append(previewImage);
   preview.append(mediaContainer);
 
   const overlay = document.createElement('div');
   overlay.className = 'preview-overlay';
-  const overlayBadge = createBadge(offlineEntry);
+  const overlayBadge = createBadge(offlineEntry, item);
   const overlayId = document.createElement('span');
   overlayId.className = 'preview-id';
   overlayId.textContent = item.id;
   overlay.append(overlayBadge, overlayId);
   preview.append(overlay);
 
-  if (hasOfflineFile) {
-    if (preferOfflineCheckbox.checked || !item.thumbUrl) {
-      applyOfflinePreview(mediaContainer, offlineEntry.files[0]);
-    } else {
-      previewImage.addEventListener(
-        'error',
-        () => {
-          applyOfflinePreview(mediaContainer, offlineEntry.files[0]);
-        },
-        { once: true }
-      );
-    }
+  if (hasOfflineFile && preferOfflineCheckbox.checked) {
+    applyOfflinePreview(mediaContainer, offlineEntry.files[0], item.id);
+  } else {
+    applyThumbnailPreview(mediaContainer, previewImage, item, offlineEntry);
+  }
+
+  let variantIndex = 0;
+  if (hasOfflineFile && offlineEntry.files.length > 1) {
+    preview.append(
+      createVariantSwitcher(offlineEntry, (next) => {
+        variantIndex = next;
+        applyOfflinePreview(mediaContainer, offlineEntry.files[next], item.id);
+      })
+    );
   }
 
   const handlePreviewActivation = (event) => {
@@ -245,12 +393,12 @@ function createCard(item) {
   const idSpan = document.createElement('span');
   idSpan.className = 'id';
   idSpan.textContent = item.id;
-  header.append(idSpan, createBadge(offlineEntry));
+  header.append(idSpan, createBadge(offlineEntry, item));
 
   const promptPara = document.createElement('p');
   promptPara.className = 'prompt';
   const promptText = resolvePrompt(item, offlineEntry?.meta);
-  promptPara.textContent = promptText || '—';
+  renderHighlightedText(promptPara, promptText || '—', highlightTerms);
   if (promptText) {
     promptPara.title = promptText;
   }
@@ -267,11 +415,13 @@ function createCard(item) {
 
   const offlineButton = document.createElement('button');
   offlineButton.className = 'secondary';
-  offlineButton.textContent = 'View offline';
+  offlineButton.textContent = offlineEntry && offlineEntry.files.length > 1
+    ? `View offline (${offlineEntry.files.length})`
+    : 'View offline';
   offlineButton.disabled = !offlineEntry || offlineEntry.files.length === 0;
-  offlineButton.addEventListener('click', async () => {
+  offlineButton.addEventListener('click', () => {
     if (!offlineEntry || offlineEntry.files.length === 0) return;
-    await openOfflineFile(offlineEntry.files[0]);
+    lightbox?.open(visibleItems, visibleItems.indexOf(item), variantIndex);
   });
 
   const copyButton = document.createElement('button');
@@ -305,30 +455,35 @@ function createCard(item) {
   return card;
 }
 
+function refreshGalleryItems() {
+  const merged = mergeArchiveOnlyItems(normalizedIndex, archiveData.byId);
+  galleryItems = merged.items;
+  archiveOnlyCount = merged.archiveOnlyCount;
+  searchIndex.sync(galleryItems, archiveData.byId, downloadLedger);
+}
+
+const lightbox = lightboxRoot
+  ? createLightbox(lightboxRoot, { getOfflineEntry: (id) => archiveData.byId.get(id) })
+  : null;
+
+const virtualGrid = galleryGrid
+  ? createVirtualGrid(galleryGrid, {
+      renderItem: (item) => createCard(item),
+      releaseItem: (item) => releaseItemObjectUrls(item),
+      getColumnWidth: () => galleryColumnWidth
+    })
+  : null;
+
 function renderGallery() {
   if (!galleryGrid) return;
-  galleryGrid.innerHTML = '';
   galleryGrid.classList.toggle('details-hidden-mode', !showDetails);
 
-  const filtered = normalizedIndex.filter((item) => {
-    if (!searchTerm) return true;
-    const offlineEntry = archiveData.byId.get(item.id);
-    const prompt = resolvePrompt(item, offlineEntry?.meta);
-    const haystack = [
-      item.id,
-      item.pageUrl,
-      item.thumbUrl ?? '',
-      prompt,
-      JSON.stringify(offlineEntry?.meta || {})
-    ]
-      .join(' ')
-      .toLowerCase();
-    return haystack.includes(searchTerm.toLowerCase());
-  });
+  const result = searchIndex.search(parseSearchQuery(searchTerm), galleryItems, archiveData.byId, downloadLedger);
+  const filtered = result.items;
+  visibleItems = filtered;
+  highlightTerms = result.highlightTerms;
 
-  for (const item of filtered) {
-    galleryGrid.append(createCard(item));
-  }
+  virtualGrid.setItems(filtered);
 
   if (filtered.length === 0) {
     const emptyState = document.createElement('div');
@@ -340,15 +495,28 @@ function renderGallery() {
   formatStats();
 }
 
+async function loadIndexFiles(files, { merge = false } = {}) {
+  const label = files.length === 1 ? files[0].name : `${files.length} files`;
+  setIndexStatus(`Loading ${label}…`, 'loading');
+  const result = await parseIndexFiles(files, merge ? normalizedIndex : []);
+  if (result.fileCount === 0) {
+    setIndexStatus(result.errors.join('; ') || 'No index files were loaded.', 'error');
+    return false;
+  }
+  normalizedIndex = result.items;
+  refreshGalleryItems();
+  setIndexStatus(describeIndexMerge(result), result.errors.length > 0 ? 'error' : 'success');
+  renderGallery();
+  return true;
+}
+
 async function handleIndexFileSelection(event) {
-  const file = event.target.files?.[0];
-  if (!file) return;
+  const files = [...(event.target.files ?? [])];
+  const merge = indexFileMode === 'merge';
+  indexFileMode = 'replace';
+  if (files.length === 0) return;
   try {
-    setIndexStatus(`Loading ${file.name}…`, 'loading');
-    const result = await parseIndexFile(file);
-    normalizedIndex = result.items;
-    setIndexStatus(`Loaded ${normalizedIndex.length} items (skipped ${result.skipped}).`, 'success');
-    renderGallery();
+    await loadIndexFiles(files, { merge });
   } catch (error) {
     setIndexStatus(error instanceof Error ? error.message : String(error), 'error');
   } finally {
@@ -356,7 +524,71 @@ async function handleIndexFileSelection(event) {
   }
 }
 
+function exportIndex() {
+  const onlyFiltered = exportFilteredCheckbox?.checked && searchTerm;
+  const items = onlyFiltered ? visibleItems : galleryItems;
+  if (items.length === 0) {
+    setIndexStatus('Nothing to export — load an index or connect an archive folder first.', 'error');
+    return;
+  }
+  const data = buildIndexExport(items, archiveData.byId);
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'sora_gallery_index.json');
+  const scope = onlyFiltered ? ' matching the current search' : '';
+  setIndexStatus(`Exported ${data.length} items${scope}.`, 'success');
+}
+
+function syncLedgerUI() {
+  if (forgetLedgerButton) {
+    forgetLedgerButton.hidden = downloadLedger.size === 0;
+  }
+}
+
+async function handleLedgerFileSelection(event) {
+  const files = [...(event.target.files ?? [])];
+  event.target.value = '';
+  if (files.length === 0) return;
+  try {
+    let added = 0;
+    for (const file of files) {
+      const result = mergeLedgers(downloadLedger, await parseLedgerFile(file));
+      downloadLedger = result.ledger;
+      added += result.added;
+    }
+    storeLedger(downloadLedger);
+    refreshGalleryItems();
+    renderGallery();
+    syncLedgerUI();
+    setIndexStatus(`Imported download ledger: ${added} new, ${downloadLedger.size} downloaded items in total.`, 'success');
+  } catch (error) {
+    setIndexStatus(error instanceof Error ? error.message : String(error), 'error');
+  }
+}
+
+function forgetLedger() {
+  downloadLedger = new Map();
+  storeLedger(downloadLedger);
+  refreshGalleryItems();
+  renderGallery();
+  syncLedgerUI();
+  setIndexStatus('Forgot the imported download ledger.', 'info');
+}
+
+async function handleArchiveFolderInput(event) {
+  const files = event.target.files;
+  if (!files || files.length === 0) return;
+  const directory = createFileListDirectory(files);
+  event.target.value = '';
+  await connectArchiveDirectory(directory, {
+    sourceLabel: `selected folder (${directory.name})`
+  });
+}
+
 async function pickArchiveFolder() {
+  if (!supportsDirectoryPicker()) {
+    archiveFolderInput?.click();
+    return;
+  }
   try {
     const directory = await window.showDirectoryPicker({ mode: 'read' });
     const connected = await connectArchiveDirectory(directory, {
@@ -403,8 +635,13 @@ async function connectArchiveDirectory(directory, { persistHandle = false, sourc
     if (persistHandle) {
       await saveDirectoryHandle(directory);
     }
-    archiveData = await scanArchiveDirectory(directory);
-    setArchiveStatus(`Connected. Media files: ${archiveData.mediaCount}, meta files: ${archiveData.metaCount}.`);
+    archiveData = await scanArchiveDirectory(directory, {
+      onProgress: ({ scanned, mediaCount, metaCount }) => {
+        setArchiveStatus(`Scanning ${sourceLabel}… ${scanned} files checked (${mediaCount} media, ${metaCount} meta).`);
+      }
+    });
+    refreshGalleryItems();
+    setArchiveStatus(`Connected. Media files: ${archiveData.mediaCount}, meta files: ${archiveData.metaCount}${describeEmbeddedCount(archiveData)}.`);
     if (archiveNotice) {
       archiveNotice.hidden = true;
     }
@@ -448,9 +685,37 @@ async function connectPreferredFolder() {
 }
 
 async function init() {
-  loadIndexButton?.addEventListener('click', () => hiddenIndexInput?.click());
+  loadIndexButton?.addEventListener('click', () => {
+    indexFileMode = 'replace';
+    hiddenIndexInput?.click();
+  });
+  mergeIndexButton?.addEventListener('click', () => {
+    indexFileMode = 'merge';
+    hiddenIndexInput?.click();
+  });
   hiddenIndexInput?.addEventListener('change', handleIndexFileSelection);
+  if (dropOverlay) {
+    setupDropZone(dropOverlay, {
+      onIndexFiles: async (files) => {
+        try {
+          await loadIndexFiles(files, { merge: normalizedIndex.length > 0 });
+        } catch (error) {
+          setIndexStatus(error instanceof Error ? error.message : String(error), 'error');
+        }
+      },
+      onDirectory: (directory, { persistHandle }) =>
+        connectArchiveDirectory(directory, {
+          persistHandle,
+          sourceLabel: `dropped folder (${directory.name})`
+        })
+    });
+  }
   connectFolderButton?.addEventListener('click', pickArchiveFolder);
+  archiveFolderInput?.addEventListener('change', handleArchiveFolderInput);
+  exportIndexButton?.addEventListener('click', exportIndex);
+  importLedgerButton?.addEventListener('click', () => ledgerFileInput?.click());
+  ledgerFileInput?.addEventListener('change', handleLedgerFileSelection);
+  forgetLedgerButton?.addEventListener('click', forgetLedger);
   connectPreferredButton?.addEventListener('click', connectPreferredFolder);
   searchInput?.addEventListener('input', (event) => {
     searchTerm = event.target.value.trim();
@@ -471,6 +736,7 @@ async function init() {
     if (gridSizeValue) {
       gridSizeValue.textContent = String(galleryColumnWidth);
     }
+    virtualGrid?.relayout();
   });
 
   preferredPathInput?.addEventListener('change', (event) => {
@@ -481,11 +747,23 @@ async function init() {
   });
 
   syncPreferredPathUI();
+  syncLedgerUI();
+
+  if (!supportsDirectoryPicker()) {
+    if (folderFallbackNotice) {
+      folderFallbackNotice.hidden = false;
+    }
+    if (connectPreferredButton) {
+      connectPreferredButton.disabled = true;
+      connectPreferredButton.title = 'This browser cannot open folders by path.';
+    }
+  }
 
   setIndexStatus('Loading default index…', 'loading');
   const defaultIndex = await loadDefaultIndex();
   if (defaultIndex) {
     normalizedIndex = defaultIndex.items;
+    refreshGalleryItems();
     setIndexStatus(`Loaded ${normalizedIndex.length} items (skipped ${defaultIndex.skipped}).`, 'success');
     renderGallery();
   } else {
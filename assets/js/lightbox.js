@@ -0,0 +1,284 @@
+import { resolvePrompt, inferMediaKind, getFileExtension } from './data.js';
+import { mediaExtensions } from './fsScanner.js';
+import { loadThumbnail } from './thumbCache.js';
+
+/**
+ * In-page viewer for offline media. Replaces the old popup window so viewing
+ * files is not affected by popup blockers, and lets the user page through the
+ * current (filtered) gallery list with the arrow keys.
+ */
+
+function formatMetaValue(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function appendMetaRow(list, label, value) {
+  if (value == null || value === '') return;
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const detail = document.createElement('dd');
+  detail.textContent = value;
+  list.append(term, detail);
+}
+
+/**
+ * Bind the lightbox behaviour to its markup.
+ * @param {HTMLElement} root
+ * @param {{ getOfflineEntry: (id: string) => { files: FileSystemFileHandle[], paths?: string[], meta?: any } | undefined }} options
+ */
+export function createLightbox(root, { getOfflineEntry }) {
+  const mediaContainer = root.querySelector('.lightbox-media');
+  const title = root.querySelector('.lightbox-title');
+  const position = root.querySelector('.lightbox-position');
+  const promptText = root.querySelector('.lightbox-prompt');
+  const metaList = root.querySelector('.lightbox-meta');
+  const fileList = root.querySelector('.lightbox-files');
+  const dialog = root.querySelector('.lightbox-dialog');
+  const copyButton = root.querySelector('[data-action="copy"]');
+  const prevButton = root.querySelector('[data-action="prev"]');
+  const nextButton = root.querySelector('[data-action="next"]');
+
+  let items = [];
+  let index = 0;
+  let variant = 0;
+  let objectUrl = null;
+  let returnFocus = null;
+  // Incremented per navigation so slow file reads cannot overwrite a newer item.
+  let renderToken = 0;
+
+  function revokeObjectUrl() {
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+      objectUrl = null;
+    }
+  }
+
+  function showPlaceholder(message) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'lightbox-placeholder';
+    placeholder.textContent = message;
+    mediaContainer.replaceChildren(placeholder);
+  }
+
+  async function showMedia(item, offlineEntry) {
+    const token = ++renderToken;
+    revokeObjectUrl();
+    showPlaceholder('Loading…');
+    try {
+      let blob = null;
+      let isVideo = false;
+      if (offlineEntry && offlineEntry.files.length > 0) {
+        const file = await offlineEntry.files[variant].getFile();
+        blob = file;
+        isVideo = mediaExtensions.videos.includes(getFileExtension(file.name));
+      } else {
+        blob = await loadThumbnail(item).catch(() => null);
+      }
+      if (token !== renderToken) return;
+      if (!blob) {
+        showPlaceholder('Not saved offline and no cached thumbnail is available.');
+        return;
+      }
+      objectUrl = URL.createObjectURL(blob);
+      let element;
+      if (isVideo) {
+        element = document.createElement('video');
+        element.controls = true;
+        element.autoplay = true;
+        element.loop = true;
+        element.playsInline = true;
+      } else {
+        element = document.createElement('img');
+        element.alt = resolvePrompt(item, offlineEntry?.meta) || item.id;
+      }
+      element.src = objectUrl;
+      mediaContainer.replaceChildren(element);
+    } catch (error) {
+      if (token !== renderToken) return;
+      showPlaceholder(`Unable to open file: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  function renderDetails(item, offlineEntry) {
+    const prompt = resolvePrompt(item, offlineEntry?.meta);
+    title.textContent = item.id;
+    position.textContent = `${index + 1} / ${items.length}`;
+    promptText.textContent = prompt || '—';
+    copyButton.disabled = !prompt;
+    prevButton.disabled = index === 0;
+    nextButton.disabled = index >= items.length - 1;
+
+    metaList.replaceChildren();
+    appendMetaRow(metaList, 'Kind', inferMediaKind(item, offlineEntry));
+    if (item.createdAt) {
+      appendMetaRow(metaList, 'Created', new Date(item.createdAt).toLocaleString());
+    }
+    if (!offlineEntry || offlineEntry.files.length === 0) {
+      appendMetaRow(metaList, 'File', 'Not saved offline');
+    }
+    if (offlineEntry?.meta && typeof offlineEntry.meta === 'object') {
+      for (const [key, value] of Object.entries(offlineEntry.meta)) {
+        if (key === 'Prompt') continue;
+        appendMetaRow(metaList, key, formatMetaValue(value));
+      }
+    }
+  }
+
+  function renderFileList(offlineEntry) {
+    fileList.replaceChildren();
+    const files = offlineEntry?.files ?? [];
+    fileList.hidden = files.length === 0;
+    files.forEach((handle, fileIndex) => {
+      const row = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = fileIndex === variant ? 'secondary' : 'ghost';
+      button.dataset.variant = String(fileIndex);
+      button.setAttribute('aria-current', fileIndex === variant ? 'true' : 'false');
+
+      const name = document.createElement('span');
+      name.className = 'file-name';
+      name.textContent = handle.name;
+      const path = document.createElement('span');
+      path.className = 'file-path';
+      path.textContent = offlineEntry.paths?.[fileIndex] ?? handle.name;
+      const details = document.createElement('span');
+      details.className = 'file-details';
+      details.textContent = getFileExtension(handle.name).toUpperCase();
+
+      button.append(name, path, details);
+      row.append(button);
+      fileList.append(row);
+
+      handle
+        .getFile()
+        .then((file) => {
+          const type = file.type || getFileExtension(file.name).toUpperCase();
+          details.textContent = `${type} · ${formatBytes(file.size)}`;
+        })
+        .catch(() => {});
+    });
+  }
+
+  function render() {
+    const item = items[index];
+    if (!item) return;
+    const offlineEntry = getOfflineEntry(item.id);
+    const fileCount = offlineEntry?.files.length ?? 0;
+    variant = fileCount > 0 ? Math.min(variant, fileCount - 1) : 0;
+    renderDetails(item, offlineEntry);
+    renderFileList(offlineEntry);
+    showMedia(item, offlineEntry);
+  }
+
+  function selectVariant(next) {
+    const offlineEntry = getOfflineEntry(items[index]?.id);
+    const count = offlineEntry?.files.length ?? 0;
+    if (count < 2) return;
+    variant = (next + count) % count;
+    render();
+  }
+
+  function step(delta) {
+    const next = index + delta;
+    if (next < 0 || next >= items.length) return;
+    index = next;
+    variant = 0;
+    render();
+  }
+
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      step(-1);
+    } else if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      step(1);
+    } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+      event.preventDefault();
+      selectVariant(variant + (event.key === 'ArrowDown' ? 1 : -1));
+    }
+  }
+
+  /**
+   * Open the viewer on one item of a list.
+   * @param {Array<{ id: string, pageUrl: string }>} list
+   * @param {number} startIndex
+   * @param {number} [startVariant] which of the item's offline files to show first
+   */
+  function open(list, startIndex = 0, startVariant = 0) {
+    items = list;
+    index = Math.min(Math.max(0, startIndex), items.length - 1);
+    variant = startVariant;
+    returnFocus = document.activeElement;
+    root.hidden = false;
+    document.body.classList.add('lightbox-open');
+    document.addEventListener('keydown', handleKeydown);
+    render();
+    dialog.focus();
+  }
+
+  function close() {
+    if (root.hidden) return;
+    renderToken += 1;
+    root.hidden = true;
+    document.body.classList.remove('lightbox-open');
+    document.removeEventListener('keydown', handleKeydown);
+    mediaContainer.replaceChildren();
+    revokeObjectUrl();
+    if (returnFocus instanceof HTMLElement) {
+      returnFocus.focus();
+    }
+  }
+
+  root.addEventListener('click', async (event) => {
+    const variantButton = event.target.closest?.('[data-variant]');
+    if (variantButton) {
+      selectVariant(Number(variantButton.dataset.variant));
+      return;
+    }
+    const action = event.target.closest?.('[data-action]')?.dataset.action;
+    const item = items[index];
+    if (!action) return;
+    if (action === 'close') {
+      close();
+    } else if (action === 'prev') {
+      step(-1);
+    } else if (action === 'next') {
+      step(1);
+    } else if (action === 'online' && item) {
+      window.open(item.pageUrl, '_blank', 'noopener');
+    } else if (action === 'copy' && item) {
+      const text = resolvePrompt(item, getOfflineEntry(item.id)?.meta);
+      if (!text) return;
+      try {
+        await navigator.clipboard.writeText(text);
+        copyButton.textContent = 'Copied!';
+        setTimeout(() => {
+          copyButton.textContent = 'Copy prompt';
+        }, 1500);
+      } catch (error) {
+        alert(text);
+      }
+    }
+  });
+
+  return { open, close };
+}
@@ -0,0 +1,276 @@
+import { buildSearchRecord, matchesSearchQuery, resolvePrompt } from './data.js';
+
+/**
+ * In-memory inverted index over prompts, ids and metadata used to rank
+ * gallery search results. Structured filters from the query language are
+ * still evaluated by `matchesSearchQuery`; the index supplies prefix and
+ * typo-tolerant matching plus a relevance score for free-text terms.
+ */
+
+const FIELD_WEIGHTS = { prompt: 3, id: 2, meta: 1 };
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTOR = 0.35;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_META_DEPTH = 4;
+
+/**
+ * Split text into lowercase, accent-free word tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+  return (
+    text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[a-z0-9]+/g) || []
+  );
+}
+
+function collectStrings(value, out, depth = 0) {
+  if (depth > MAX_META_DEPTH || value == null) return out;
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (typeof value === 'number') {
+    out.push(String(value));
+  } else if (typeof value === 'object') {
+    for (const nested of Object.values(value)) {
+      collectStrings(nested, out, depth + 1);
+    }
+  }
+  return out;
+}
+
+function maxTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance check (adjacent transpositions count as one edit) that gives
+ * up as soon as `max` is exceeded.
+ */
+function withinEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return false;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+/**
+ * Free-text terms that should be answered from the index: positive, single
+ * word, and either unfielded or limited to the prompt/meta/id text fields.
+ */
+function collectIndexedTerms(node, negated = false, out = []) {
+  if (!node) return out;
+  if (node.type === 'not') return collectIndexedTerms(node.child, !negated, out);
+  if (node.type === 'and' || node.type === 'or') {
+    for (const child of node.children) {
+      collectIndexedTerms(child, negated, out);
+    }
+    return out;
+  }
+  if (negated || node.phrase) return out;
+  if (node.field !== null && !(node.field in FIELD_WEIGHTS)) return out;
+  const tokens = tokenize(node.value);
+  if (tokens.length === 1) {
+    out.push({ node, token: tokens[0] });
+  }
+  return out;
+}
+
+/**
+ * Create an empty search index.
+ */
+export function createSearchIndex() {
+  const docs = new Map();
+  const postings = { prompt: new Map(), id: new Map(), meta: new Map() };
+  const vocabulary = new Map();
+  const expansionCache = new Map();
+
+  function addPosting(field, token, id) {
+    const weight = FIELD_WEIGHTS[field];
+    let list = postings[field].get(token);
+    if (!list) {
+      list = new Map();
+      postings[field].set(token, list);
+    }
+    if (list.has(id)) return false;
+    list.set(id, weight);
+    vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+    return true;
+  }
+
+  function removeDoc(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const [field, tokens] of Object.entries(doc.tokens)) {
+      for (const token of tokens) {
+        const list = postings[field].get(token);
+        if (!list) continue;
+        list.delete(id);
+        if (list.size === 0) postings[field].delete(token);
+        const count = (vocabulary.get(token) || 1) - 1;
+        if (count <= 0) {
+          vocabulary.delete(token);
+        } else {
+          vocabulary.set(token, count);
+        }
+      }
+    }
+    docs.delete(id);
+    expansionCache.clear();
+  }
+
+  function addDoc(item, offlineEntry, ledgerEntry) {
+    const tokens = {
+      prompt: new Set(tokenize(resolvePrompt(item, offlineEntry?.meta))),
+      id: new Set([item.id.toLowerCase(), ...tokenize(item.id)]),
+      meta: new Set(tokenize(collectStrings(offlineEntry?.meta, []).join(' ')))
+    };
+    for (const [field, fieldTokens] of Object.entries(tokens)) {
+      for (const token of fieldTokens) {
+        addPosting(field, token, item.id);
+      }
+    }
+    docs.set(item.id, {
+      item,
+      offlineEntry,
+      ledgerEntry,
+      tokens,
+      record: buildSearchRecord(item, offlineEntry, ledgerEntry)
+    });
+    expansionCache.clear();
+  }
+
+  /**
+   * Bring the index in line with the given items, archive entries and
+   * download ledger. Only items whose index entry or archive entry changed
+   * are re-tokenized; a ledger change only refreshes the search record.
+   * @param {Array<ReturnType<typeof import('./data.js').normalizeIndexEntry>>} items
+   * @param {Map<string, any>} byId
+   * @param {Map<string, import('./downloadLedger.js').LedgerEntry>} [ledger]
+   */
+  function sync(items, byId, ledger = new Map()) {
+    const seen = new Set();
+    for (const item of items) {
+      seen.add(item.id);
+      const offlineEntry = byId.get(item.id);
+      const ledgerEntry = ledger.get(item.id);
+      const doc = docs.get(item.id);
+      if (doc && doc.item === item && doc.offlineEntry === offlineEntry) {
+        if (doc.ledgerEntry !== ledgerEntry) {
+          doc.ledgerEntry = ledgerEntry;
+          doc.record = buildSearchRecord(item, offlineEntry, ledgerEntry);
+        }
+        continue;
+      }
+      removeDoc(item.id);
+      addDoc(item, offlineEntry, ledgerEntry);
+    }
+    for (const id of [...docs.keys()]) {
+      if (!seen.has(id)) removeDoc(id);
+    }
+  }
+
+  function expand(token) {
+    if (expansionCache.has(token)) return expansionCache.get(token);
+    const typos = maxTypos(token);
+    const matches = new Map();
+    for (const candidate of vocabulary.keys()) {
+      if (candidate === token) {
+        matches.set(candidate, 1);
+      } else if (token.length >= MIN_PREFIX_LENGTH && candidate.startsWith(token)) {
+        matches.set(candidate, PREFIX_FACTOR);
+      } else if (typos > 0 && withinEditDistance(token, candidate, typos)) {
+        matches.set(candidate, FUZZY_FACTOR);
+      }
+    }
+    expansionCache.set(token, matches);
+    return matches;
+  }
+
+  function scoreToken(token, field) {
+    const fields = field === null ? Object.keys(FIELD_WEIGHTS) : [field];
+    const scores = new Map();
+    for (const [candidate, factor] of expand(token)) {
+      for (const name of fields) {
+        const list = postings[name].get(candidate);
+        if (!list) continue;
+        for (const [id, weight] of list) {
+          const score = weight * factor;
+          if (score > (scores.get(id) || 0)) {
+            scores.set(id, score);
+          }
+        }
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Filter and rank items for a parsed query. Items keep their index order
+   * when the query has no free-text terms.
+   * @param {import('./data.js').SearchNode | null} query
+   * @param {Array<ReturnType<typeof import('./data.js').normalizeIndexEntry>>} items
+   * @param {Map<string, any>} byId
+   * @param {Map<string, import('./downloadLedger.js').LedgerEntry>} [ledger]
+   * @returns {{ items: any[], highlightTerms: Set<string> }}
+   */
+  function search(query, items, byId, ledger = new Map()) {
+    if (!query) return { items, highlightTerms: new Set() };
+
+    const indexedTerms = collectIndexedTerms(query);
+    const termScores = new Map();
+    const highlightTerms = new Set();
+    for (const { node, token } of indexedTerms) {
+      termScores.set(node, scoreToken(token, node.field));
+      for (const candidate of expand(token).keys()) {
+        highlightTerms.add(candidate);
+      }
+    }
+
+    let currentId = null;
+    // Index hits count as matches; anything else falls back to substring matching on the record.
+    const matchOverride = (node) => (termScores.get(node)?.has(currentId) ? true : undefined);
+
+    const ranked = [];
+    items.forEach((item, order) => {
+      const doc = docs.get(item.id);
+      const record =
+        doc && doc.item === item ? doc.record : buildSearchRecord(item, byId.get(item.id), ledger.get(item.id));
+      currentId = item.id;
+      if (!matchesSearchQuery(query, record, matchOverride)) return;
+      let score = 0;
+      for (const scores of termScores.values()) {
+        score += scores.get(item.id) ?? 0;
+      }
+      ranked.push({ item, score, order });
+    });
+
+    if (termScores.size > 0) {
+      ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+    }
+    return { items: ranked.map((entry) => entry.item), highlightTerms };
+  }
+
+  return { sync, search };
+}
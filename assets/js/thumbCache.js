@@ -0,0 +1,39 @@
+import { getExpiryState } from './data.js';
+import { getCachedThumbnail, saveCachedThumbnail } from './handleStorage.js';
+
+/**
+ * Resolve the bytes of an item's thumbnail, preferring the offline cache.
+ * Freshly downloaded thumbnails are written back to the cache so they keep
+ * working after the signed URL expires.
+ *
+ * Resolves to null when neither the cache nor the signed URL can provide the
+ * image (typically an expired link). Rejects when the network request itself
+ * fails (offline, CORS), in which case the caller may still try the URL directly.
+ *
+ * @param {{ id: string, thumbUrl: string | null, thumbExpiresAt?: number | null }} item
+ * @returns {Promise<Blob | null>}
+ */
+export async function loadThumbnail(item) {
+  const cached = await getCachedThumbnail(item.id);
+  if (cached?.blob) {
+    return cached.blob;
+  }
+  if (!item.thumbUrl || getExpiryState(item) === 'expired') {
+    return null;
+  }
+
+  const response = await fetch(item.thumbUrl, { mode: 'cors', credentials: 'omit' });
+  if (!response.ok) {
+    return null;
+  }
+  const blob = await response.blob();
+  if (blob.size === 0 || blob.type.startsWith('text/')) {
+    return null;
+  }
+  try {
+    await saveCachedThumbnail(item.id, blob, item.thumbUrl);
+  } catch (error) {
+    console.warn('Unable to cache thumbnail:', error);
+  }
+  return blob;
+}
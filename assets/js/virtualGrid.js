@@ -0,0 +1,169 @@
+/**
+ * Windowed rendering for the gallery grid. Only rows near the viewport are
+ * materialised; the rest of the scroll height is held by two spacer elements.
+ */
+
+const OVERSCAN_ROWS = 2;
+
+function createSpacer() {
+  const spacer = document.createElement('div');
+  spacer.className = 'gallery-spacer';
+  spacer.setAttribute('aria-hidden', 'true');
+  spacer.hidden = true;
+  return spacer;
+}
+
+function setSpacerHeight(spacer, height) {
+  spacer.hidden = height <= 0;
+  spacer.style.height = `${Math.max(0, height)}px`;
+}
+
+/**
+ * Create a virtualized grid bound to a container using the page scroll.
+ *
+ * The column count mirrors `repeat(auto-fit, minmax(columnWidth, 1fr))` and is
+ * published through the `--gallery-columns` custom property so CSS and the
+ * windowing maths agree. Cards must share a uniform height per render.
+ *
+ * @param {HTMLElement} container
+ * @param {{
+ *   renderItem: (item: any, index: number) => HTMLElement,
+ *   releaseItem?: (item: any, element: HTMLElement) => void,
+ *   getColumnWidth: () => number
+ * }} options
+ */
+export function createVirtualGrid(container, { renderItem, releaseItem, getColumnWidth }) {
+  const topSpacer = createSpacer();
+  const bottomSpacer = createSpacer();
+  const rendered = new Map();
+  let items = [];
+  let columns = 0;
+  let rowHeight = 0;
+  let start = -1;
+  let end = -1;
+  let frame = 0;
+  let forceNext = false;
+
+  function measureColumns(gap) {
+    const width = container.clientWidth;
+    const columnWidth = getColumnWidth();
+    return Math.max(1, Math.floor((width + gap) / (columnWidth + gap)));
+  }
+
+  function releaseIndex(index) {
+    const element = rendered.get(index);
+    if (!element) return;
+    rendered.delete(index);
+    element.remove();
+    releaseItem?.(items[index], element);
+  }
+
+  function releaseAll() {
+    for (const index of [...rendered.keys()]) {
+      releaseIndex(index);
+    }
+    start = -1;
+    end = -1;
+  }
+
+  function update(force = false, depth = 0) {
+    if (items.length === 0 || !container.isConnected) return;
+    const styles = getComputedStyle(container);
+    const rowGap = parseFloat(styles.rowGap) || 0;
+    const columnGap = parseFloat(styles.columnGap) || rowGap;
+
+    const nextColumns = measureColumns(columnGap);
+    if (nextColumns !== columns) {
+      columns = nextColumns;
+      container.style.setProperty('--gallery-columns', String(columns));
+      releaseAll();
+    }
+
+    if (rowHeight <= 0) {
+      // Until a card has been measured assume the 3:4 preview alone.
+      rowHeight = (getColumnWidth() * 4) / 3;
+    }
+    const stride = rowHeight + rowGap;
+    const totalRows = Math.ceil(items.length / columns);
+    const gridTop = container.getBoundingClientRect().top + window.scrollY;
+    const viewTop = window.scrollY - gridTop;
+    const viewBottom = viewTop + window.innerHeight;
+
+    const firstRow = Math.min(totalRows - 1, Math.max(0, Math.floor(viewTop / stride) - OVERSCAN_ROWS));
+    const lastRow = Math.min(totalRows - 1, Math.max(firstRow, Math.ceil(viewBottom / stride) + OVERSCAN_ROWS));
+    const nextStart = firstRow * columns;
+    const nextEnd = Math.min(items.length, (lastRow + 1) * columns);
+
+    if (!force && nextStart === start && nextEnd === end) return;
+
+    for (const index of [...rendered.keys()]) {
+      if (index < nextStart || index >= nextEnd) {
+        releaseIndex(index);
+      }
+    }
+    start = nextStart;
+    end = nextEnd;
+
+    setSpacerHeight(topSpacer, firstRow * stride - rowGap);
+    setSpacerHeight(bottomSpacer, (totalRows - 1 - lastRow) * stride - rowGap);
+
+    // Insert back to front so existing cards (and any playing video) are never moved.
+    let anchor = bottomSpacer;
+    for (let index = end - 1; index >= start; index -= 1) {
+      let element = rendered.get(index);
+      if (!element) {
+        element = renderItem(items[index], index);
+        rendered.set(index, element);
+        container.insertBefore(element, anchor);
+      }
+      anchor = element;
+    }
+
+    const sample = rendered.get(start);
+    const measured = sample ? sample.offsetHeight : 0;
+    if (measured > 0 && Math.abs(measured - rowHeight) > 1 && depth < 2) {
+      rowHeight = measured;
+      update(true, depth + 1);
+    }
+  }
+
+  function schedule() {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      const force = forceNext;
+      forceNext = false;
+      update(force);
+    });
+  }
+
+  /**
+   * Force the column count and row height to be re-measured, e.g. after the
+   * column width slider or the viewport size changed.
+   */
+  function relayout() {
+    rowHeight = 0;
+    forceNext = true;
+    schedule();
+  }
+
+  /**
+   * Replace the rendered items. Previously rendered elements are released and
+   * the container is emptied, so callers may append an empty state afterwards.
+   * @param {any[]} nextItems
+   */
+  function setItems(nextItems) {
+    releaseAll();
+    container.replaceChildren();
+    items = nextItems;
+    rowHeight = 0;
+    if (items.length === 0) return;
+    container.append(topSpacer, bottomSpacer);
+    update(true);
+  }
+
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', relayout);
+
+  return { setItems, relayout, releaseAll };
+}
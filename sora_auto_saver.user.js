@@ -1,27 +1,114 @@
 // ==UserScript==
 // @name         Sora Auto Saver
 // @namespace    https://github.com/
-// @version      1.0.0
-// @description  Automatically download Sora media with prompt metadata when visiting generation pages.
+// @version      1.8.0
+// @description  Automatically download Sora media with prompt metadata when visiting generation pages, and index the library into sora_gallery_index.json.
 // @author       Sora Archive Kit
 // @match        https://sora.chatgpt.com/g/*
-// @grant        none
+// @match        https://sora.chatgpt.com/library*
+// @match        https://sora.chatgpt.com/profile*
+// @grant        GM_download
+// @grant        unsafeWindow
+// @run-at       document-start
 // ==/UserScript==
 
 (function () {
   'use strict';
 
-  const AUTO_CLOSE_DELAY = 1500;
   const MEDIA_POLL_INTERVAL = 400;
-  const MEDIA_POLL_ATTEMPTS = 75;
+  const HARVEST_MESSAGE_SOURCE = 'sora-auto-saver';
+  const SETTINGS_KEY = 'sora-saver-settings';
+  const DEFAULT_FILENAME_TEMPLATE = '{id}--{prompt}{variant}';
+  const FILENAME_TOKEN = /\{(\w+)(?::(\d+))?\}/g;
+  const DEFAULT_PROMPT_LENGTH = 64;
+  const DEFAULT_SETTINGS = {
+    downloadAllVariants: false,
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    // Seconds to wait for media before giving up.
+    mediaTimeout: 30,
+    // Seconds before an auto-mode tab closes itself.
+    autoCloseDelay: 1.5,
+    saveMeta: true,
+    embedMetadata: false,
+    // 'best' ranks every candidate on the page; 'first' takes the first one found.
+    mediaChoice: 'best',
+    // What auto mode does with a generation already in the ledger: 'download', 'skip' or 'ask'.
+    whenDownloaded: 'download'
+  };
+  const DOWNLOADS_KEY = 'sora-saver-downloads';
+  const LEDGER_FILE_NAME = 'sora_download_ledger.json';
+  const INDEX_PROGRESS_KEY = 'sora-saver-index-progress';
+  const INDEX_FILE_NAME = 'sora_gallery_index.json';
+  const INDEX_SCROLL_STEP = 0.8;
+  const INDEX_SETTLE_DELAY = 900;
+  const INDEX_IDLE_ROUNDS = 6;
 
+  // Granting GM_download sandboxes the script; network hooks must patch the page's own window.
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+  const searchParams = new URLSearchParams(window.location.search);
   const state = {
     banner: null,
     status: 'idle',
-    autoMode: new URLSearchParams(window.location.search).get('auto') === '1'
+    autoMode: searchParams.get('auto') === '1',
+    harvestOrigin: readHarvestOrigin(searchParams.get('harvest')),
+    settings: loadSettings(),
+    page: isIndexPage() ? 'library' : 'generation',
+    indexer: null
   };
 
-  function sanitizeForFilename(value) {
+  function isIndexPage() {
+    return /^\/(library|profile)(\/|$)/.test(window.location.pathname);
+  }
+
+  function loadSettings() {
+    try {
+      const { skipDownloaded, ...stored } = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+      // 1.6.0 only had an on/off skip toggle.
+      if (skipDownloaded && !stored.whenDownloaded) stored.whenDownloaded = 'skip';
+      return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+    } catch (error) {
+      console.warn('Sora Saver could not save its settings', error);
+    }
+  }
+
+  // The harvest page passes its origin so status messages are only delivered to it.
+  function readHarvestOrigin(value) {
+    if (!value) return null;
+    try {
+      const parsed = new URL(value);
+      return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function reportToHarvest(status, details = {}) {
+    if (!state.harvestOrigin || !window.opener) return;
+    try {
+      window.opener.postMessage(
+        {
+          source: HARVEST_MESSAGE_SOURCE,
+          type: 'harvest-status',
+          id: getGenerationId(),
+          status,
+          ...details
+        },
+        state.harvestOrigin
+      );
+    } catch (error) {
+      console.warn('Sora Saver could not report to the harvest page', error);
+    }
+  }
+
+  function sanitizeForFilename(value, maxLength = DEFAULT_PROMPT_LENGTH) {
     if (!value) return '';
     return value
       .normalize('NFKD')
@@ -29,7 +116,106 @@
       .replace(/[^a-z0-9\-_. ]+/gi, ' ')
       .trim()
       .replace(/\s+/g, '_')
-      .slice(0, 64);
+      .slice(0, maxLength);
+  }
+
+  function cleanPathSegment(segment) {
+    return segment
+      .replace(/[\\:*?"<>|\u0000-\u001f]+/g, '_')
+      .trim()
+      .replace(/^\.+|\.+$/g, '');
+  }
+
+  /**
+   * Render a download path (without extension) from a filename template.
+   * Tokens: {id}, {prompt} or {prompt:N}, {date}, {kind}, {index} (1-based
+   * variant number) and {variant} (`--vN` only when several variants are
+   * saved); `/` starts a subfolder. The generation id is always part of the
+   * path so the gallery can match the file, and several variants never share
+   * a name even if the template leaves out {index} and {variant}.
+   * @param {string} template
+   * @param {{ id: string, prompt?: string, date?: string, kind?: string, index?: number, variant?: string }} values
+   */
+  function renderFilename(template, values) {
+    let source = typeof template === 'string' && template.trim() ? template.trim() : DEFAULT_FILENAME_TEMPLATE;
+    if (!source.includes('{id}')) source = `{id}--${source}`;
+    const rendered = source.replace(FILENAME_TOKEN, (match, name, length) => {
+      if (name === 'prompt') {
+        return sanitizeForFilename(values.prompt, Number(length) || DEFAULT_PROMPT_LENGTH) || 'asset';
+      }
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+    const path = rendered.split('/').map(cleanPathSegment).filter(Boolean).join('/');
+    const keepsVariantsApart = /\{(index|variant)\}/.test(source);
+    return values.variant && !keepsVariantsApart ? `${path}${values.variant}` : path;
+  }
+
+  function formatDateToken(value) {
+    const timestamp = normalizeTimestamp(value);
+    return (timestamp ?? new Date().toISOString()).slice(0, 10);
+  }
+
+  const SAVER_CONTROLS = `
+      <button type="button">Download with prompt</button>
+      <details class="settings">
+        <summary>Settings</summary>
+        <label class="option field">
+          Media to save
+          <select data-setting="mediaChoice">
+            <option value="best">Best quality on the page</option>
+            <option value="first">First media found</option>
+          </select>
+        </label>
+        <label class="option">
+          <input type="checkbox" data-setting="downloadAllVariants" />
+          Save every variant
+        </label>
+        <label class="option field" title="Tokens: {id} {prompt} {prompt:40} {date} {kind} {index} {variant}. Use / for subfolders (needs the userscript manager's &quot;Browser API&quot; download mode).">
+          File name
+          <input type="text" data-setting="filenameTemplate" spellcheck="false" autocomplete="off" />
+        </label>
+        <label class="option" title="Harvest tabs always save it: the harvest page watches for the meta file.">
+          <input type="checkbox" data-setting="saveMeta" />
+          Save prompt as .meta.json
+        </label>
+        <label class="option" title="Writes prompt, id and source URL as XMP into PNG, JPEG, WebP and MP4 files.">
+          <input type="checkbox" data-setting="embedMetadata" />
+          Embed prompt in the file
+        </label>
+        <label class="option field" title="Applies to auto mode; the download button always saves.">
+          If already downloaded
+          <select data-setting="whenDownloaded">
+            <option value="download">Download again</option>
+            <option value="skip">Skip it</option>
+            <option value="ask">Ask first</option>
+          </select>
+        </label>
+        <label class="option field">
+          Wait for media (seconds)
+          <input type="number" data-setting="mediaTimeout" min="5" max="300" step="1" />
+        </label>
+        <label class="option field">
+          Close auto-mode tab after (seconds)
+          <input type="number" data-setting="autoCloseDelay" min="0" max="60" step="0.5" />
+        </label>
+        <button type="button" data-action="export-ledger">Export download ledger</button>
+      </details>
+  `;
+  const INDEXER_CONTROLS = `
+      <button type="button" data-index-action="toggle">Start indexing</button>
+      <button type="button" data-index-action="download">Download ${INDEX_FILE_NAME}</button>
+      <button type="button" data-index-action="reset">Start over</button>
+  `;
+
+  function readSettingInput(input, key) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'number') {
+      const value = Number(input.value);
+      if (input.value === '' || !Number.isFinite(value)) return DEFAULT_SETTINGS[key];
+      return Math.min(Math.max(value, Number(input.min)), Number(input.max));
+    }
+    return input.value.trim() || DEFAULT_SETTINGS[key];
   }
 
   function ensureBanner() {
@@ -69,14 +255,67 @@
         #sora-saver-banner .status {
           font-size: 0.9rem;
         }
+        #sora-saver-banner .option {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 10px;
+          font-size: 0.85rem;
+          cursor: pointer;
+        }
+        #sora-saver-banner .choice {
+          display: flex;
+          gap: 8px;
+        }
+        #sora-saver-banner .settings {
+          margin-top: 10px;
+          font-size: 0.85rem;
+        }
+        #sora-saver-banner .settings summary {
+          cursor: pointer;
+          color: rgba(232, 240, 255, 0.75);
+        }
+        #sora-saver-banner .field {
+          flex-direction: column;
+          align-items: stretch;
+          gap: 4px;
+        }
+        #sora-saver-banner input[type='text'],
+        #sora-saver-banner input[type='number'],
+        #sora-saver-banner select {
+          border-radius: 8px;
+          border: 1px solid rgba(77, 171, 247, 0.35);
+          background: rgba(255, 255, 255, 0.06);
+          color: #e8f0ff;
+          padding: 6px 8px;
+          font: 0.8rem ui-monospace, 'Cascadia Code', monospace;
+        }
       </style>
       <div class="status">Sora Saver ready</div>
-      <button type="button">Download with prompt</button>
+      ${state.page === 'library' ? INDEXER_CONTROLS : SAVER_CONTROLS}
     `;
     document.body.append(wrapper);
-    const button = wrapper.querySelector('button');
-    button.addEventListener('click', handleDownloadRequest);
     state.banner = wrapper;
+    if (state.page === 'library') {
+      bindIndexerControls(wrapper);
+      return wrapper;
+    }
+    const button = wrapper.querySelector('button');
+    button.addEventListener('click', () => handleDownloadRequest({ manual: true }));
+    wrapper.querySelector('[data-action="export-ledger"]').addEventListener('click', exportLedger);
+    for (const input of wrapper.querySelectorAll('[data-setting]')) {
+      const key = input.dataset.setting;
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(state.settings[key]);
+      } else {
+        input.value = String(state.settings[key]);
+      }
+      input.addEventListener('change', () => {
+        state.settings[key] = readSettingInput(input, key);
+        if (input.type !== 'checkbox') input.value = String(state.settings[key]);
+        saveSettings();
+      });
+    }
     return wrapper;
   }
 
@@ -125,64 +364,406 @@
     }
   }
 
-  function deriveMediaCandidate(element) {
-    if (!(element instanceof Element)) return null;
-    if (element.tagName === 'VIDEO') {
-      const sources = [element.currentSrc, element.src];
-      const sourceEl = element.querySelector('source[src]');
-      if (sourceEl) sources.push(sourceEl.currentSrc || sourceEl.src);
-      for (const candidate of sources) {
-        if (looksLikeRealMedia(candidate)) {
-          return { url: candidate, kind: 'video' };
-        }
+  const VIDEO_FORMAT_SCORES = { mp4: 3, webm: 2, m4v: 1, mov: 1 };
+  const IMAGE_FORMAT_SCORES = { png: 4, webp: 3, jpg: 2, jpeg: 2, avif: 2, gif: 1 };
+  // Suffixes that mark a smaller rendition of the same asset, e.g. `_thumbnail` or `_720p`.
+  const RENDITION_SUFFIX = /[_-](?:thumb(?:nail)?|preview|poster|small|medium|md|sm|lg|low|high|hd|sd|\d{3,4}p|\d{2,4}x\d{2,4})(?=[_.-]|$)/gi;
+  // File names that only name a rendition, e.g. `videos/<id>/md.mp4`.
+  const RENDITION_NAME = /^(?:src|source|raw|original|full|thumb(?:nail)?|preview|poster|md|sd|hd|low|high)$/i;
+
+  function decodeSafely(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  function getUrlPath(url) {
+    try {
+      return decodeSafely(new URL(url, window.location.href).pathname);
+    } catch (error) {
+      return decodeSafely(url.split(/[?#]/)[0]);
+    }
+  }
+
+  function getUrlExtension(url) {
+    const basename = getUrlPath(url).split('/').pop() || '';
+    return basename.includes('.') ? basename.split('.').pop().toLowerCase() : '';
+  }
+
+  function parseSizeHint(url) {
+    const path = getUrlPath(url);
+    const dims = path.match(/(\d{3,4})x(\d{3,4})/);
+    if (dims) return { width: Number(dims[1]), height: Number(dims[2]) };
+    const lines = path.match(/[_\-/](\d{3,4})p(?=[_\-./]|$)/i);
+    if (lines) return { width: null, height: Number(lines[1]) };
+    try {
+      const params = new URL(url, window.location.href).searchParams;
+      const width = Number(params.get('w') || params.get('width'));
+      if (width > 0) return { width, height: null };
+    } catch (error) {
+      // Ignore unparsable URLs; they simply carry no size hint.
+    }
+    return { width: null, height: null };
+  }
+
+  function parseSrcset(srcset) {
+    if (!srcset) return [];
+    return srcset
+      .split(',')
+      .map((entry) => entry.trim().split(/\s+/))
+      .filter(([url]) => Boolean(url))
+      .map(([url, descriptor = '']) => {
+        const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/i);
+        if (!match) return { url, width: null, density: null };
+        const value = Number(match[1]);
+        return match[2].toLowerCase() === 'w' ? { url, width: value, density: null } : { url, width: null, density: value };
+      });
+  }
+
+  /**
+   * Group renditions of one asset: the file name without its extension and
+   * size suffixes, or the folder when the file name only names a rendition.
+   */
+  function getVariantKey(url) {
+    const segments = getUrlPath(url).split('/').filter(Boolean);
+    const basename = (segments.pop() || '').replace(/\.[a-z0-9]{2,5}$/i, '');
+    if (RENDITION_NAME.test(basename)) {
+      return segments.join('/').toLowerCase();
+    }
+    return basename.replace(RENDITION_SUFFIX, '').toLowerCase();
+  }
+
+  function getPixelCount(candidate) {
+    const { width, height } = candidate;
+    if (width && height) return width * height;
+    if (width) return width * width;
+    if (height) return height * height;
+    return 0;
+  }
+
+  function getFormatScore(candidate) {
+    const scores = candidate.kind === 'video' ? VIDEO_FORMAT_SCORES : IMAGE_FORMAT_SCORES;
+    return scores[getUrlExtension(candidate.url)] ?? 0;
+  }
+
+  // Videos first, then the most pixels, then the better format.
+  function compareCandidates(a, b) {
+    if (a.kind !== b.kind) return a.kind === 'video' ? -1 : 1;
+    return getPixelCount(b) - getPixelCount(a) || getFormatScore(b) - getFormatScore(a);
+  }
+
+  function addCandidate(candidates, url, kind, width = 0, height = 0) {
+    if (!url || !looksLikeRealMedia(url)) return;
+    const hint = parseSizeHint(url);
+    const candidate = {
+      url,
+      kind,
+      width: width || hint.width || null,
+      height: height || hint.height || null
+    };
+    const existing = candidates.get(url);
+    if (!existing) {
+      candidates.set(url, candidate);
+      return;
+    }
+    existing.width = existing.width || candidate.width;
+    existing.height = existing.height || candidate.height;
+  }
+
+  function collectFromVideo(element, candidates) {
+    const loaded = element.currentSrc;
+    addCandidate(candidates, loaded, 'video', element.videoWidth, element.videoHeight);
+    addCandidate(candidates, element.src, 'video');
+    for (const source of element.querySelectorAll('source[src]')) {
+      addCandidate(candidates, source.src, 'video');
+    }
+  }
+
+  function collectFromImage(element, candidates) {
+    if (element.naturalWidth && element.naturalWidth < 40) return;
+    if (element.naturalHeight && element.naturalHeight < 40) return;
+    // naturalWidth/Height describe whichever source the browser picked.
+    addCandidate(candidates, element.currentSrc || element.src, 'image', element.naturalWidth, element.naturalHeight);
+    addCandidate(candidates, element.src, 'image');
+    for (const entry of parseSrcset(element.srcset)) {
+      const width = entry.width || (entry.density ? Math.round(entry.density * element.clientWidth) : 0);
+      addCandidate(candidates, entry.url, 'image', width);
+    }
+    const picture = element.parentElement?.tagName === 'PICTURE' ? element.parentElement : null;
+    for (const source of picture?.querySelectorAll('source[srcset]') ?? []) {
+      for (const entry of parseSrcset(source.srcset)) {
+        addCandidate(candidates, entry.url, 'image', entry.width || 0);
       }
     }
-    if (element.tagName === 'IMG') {
-      const sources = [element.currentSrc, element.src];
-      const srcset = element.srcset?.split(',') || [];
-      for (const entry of srcset) {
-        const [candidate] = entry.trim().split(/\s+/);
-        if (candidate) sources.push(candidate);
+  }
+
+  /**
+   * Every media URL on the page that looks like a real asset, best first, or
+   * in page order when `ranked` is false.
+   * @returns {Array<{ url: string, kind: 'video' | 'image', width: number | null, height: number | null }>}
+   */
+  function collectMediaCandidates({ ranked = true } = {}) {
+    const candidates = new Map();
+    for (const element of deepCollect(document)) {
+      if (!(element instanceof Element)) continue;
+      if (element.tagName === 'VIDEO') {
+        collectFromVideo(element, candidates);
+      } else if (element.tagName === 'IMG') {
+        collectFromImage(element, candidates);
       }
-      for (const candidate of sources) {
-        if (looksLikeRealMedia(candidate)) {
-          if (element.naturalWidth && element.naturalWidth < 40) continue;
-          if (element.naturalHeight && element.naturalHeight < 40) continue;
-          return { url: candidate, kind: 'image' };
-        }
+    }
+    const found = [...candidates.values()];
+    return ranked ? found.sort(compareCandidates) : found;
+  }
+
+  /**
+   * Pick what to download from ranked candidates: the single best one, or the
+   * best rendition of every distinct variant. Variants of a different kind,
+   * not tied to `genId` (other generations' feed media on the page), or far
+   * smaller than the best one are left out.
+   * @param {Array<{ url: string, kind: 'video' | 'image', width: number | null, height: number | null }>} candidates
+   * @param {{ allVariants?: boolean, genId?: string | null }} [options]
+   */
+  function selectMedia(candidates, { allVariants = false, genId = null } = {}) {
+    if (candidates.length === 0) return [];
+    const [best] = candidates;
+    if (!allVariants) return [best];
+    const minimumPixels = getPixelCount(best) / 4;
+    const byVariant = new Map();
+    for (const candidate of candidates) {
+      if (candidate.kind !== best.kind) continue;
+      // Sizes are often unknown before video metadata loads, so the size check
+      // alone cannot tell this generation's renditions from the rest of the page.
+      if (candidate !== best && !isGenerationAsset(candidate.url, genId)) continue;
+      const key = getVariantKey(candidate.url);
+      if (!byVariant.has(key)) byVariant.set(key, candidate);
+    }
+    return [...byVariant.values()].filter((candidate) => getPixelCount(candidate) >= minimumPixels);
+  }
+
+  /**
+   * Poll until media shows up. Assets seen in the page's API responses are
+   * returned straight away, ahead of anything found in the DOM; otherwise the
+   * page is polled until its candidate list stops changing, so late srcset
+   * entries and video metadata are taken into account. With `preferBest` off
+   * the first media found is returned without waiting for the page to settle.
+   * @param {string} genId
+   * @param {{ preferBest?: boolean, timeoutMs?: number }} [options]
+   */
+  async function waitForMedia(genId, { preferBest = true, timeoutMs = DEFAULT_SETTINGS.mediaTimeout * 1000 } = {}) {
+    let previous = null;
+    let latest = [];
+    const attempts = Math.max(1, Math.ceil(timeoutMs / MEDIA_POLL_INTERVAL));
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+      const fromNetwork = getNetworkCandidates(genId);
+      if (fromNetwork.length > 0) {
+        const seen = new Set(fromNetwork.map((candidate) => candidate.url));
+        return [...fromNetwork, ...collectMediaCandidates().filter((candidate) => !seen.has(candidate.url))];
+      }
+      latest = collectMediaCandidates({ ranked: preferBest });
+      if (latest.length > 0 && !preferBest) return latest;
+      const signature = latest.map((candidate) => `${candidate.url}|${candidate.width}|${candidate.height}`).join('\n');
+      if (latest.length > 0 && signature === previous) {
+        return latest;
       }
+      previous = signature;
+      await new Promise((resolve) => setTimeout(resolve, MEDIA_POLL_INTERVAL));
+    }
+    if (latest.length > 0) return latest;
+    throw new Error('Timed out waiting for media to load.');
+  }
+
+  // Keys of a generation record in the page's API responses, most specific first.
+  const GENERATION_FIELDS = {
+    prompt: ['prompt', 'caption'],
+    width: ['width'],
+    height: ['height'],
+    duration: ['duration_s', 'duration_secs', 'duration'],
+    model: ['model', 'model_name', 'model_id'],
+    seed: ['seed'],
+    remixParent: ['remix_parent_id', 'remix_of', 'parent_id', 'source_generation_id'],
+    createdAt: ['created_at', 'createdAt', 'create_time'],
+    taskId: ['task_id', 'taskId']
+  };
+  const MAX_JSON_NODES = 20000;
+  const MAX_ASSET_DEPTH = 4;
+  const MAX_TRACKED_GENERATIONS = 200;
+  const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v'];
+
+  // What the page's own requests revealed, keyed by generation id.
+  const network = {
+    generations: new Map(),
+    mediaUrls: new Set()
+  };
+
+  function pickField(record, names) {
+    for (const name of names) {
+      const value = record[name];
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  }
+
+  function collectAssetUrls(value, path, found, depth = 0) {
+    if (depth > MAX_ASSET_DEPTH || value == null) return;
+    if (typeof value === 'string') {
+      if (/^https?:/i.test(value) && looksLikeRealMedia(value)) found.push({ url: value, path });
+      return;
+    }
+    if (typeof value !== 'object') return;
+    for (const [key, nested] of Object.entries(value)) {
+      collectAssetUrls(nested, path ? `${path}.${key}` : key, found, depth + 1);
+    }
+  }
+
+  function recordGeneration(record, id) {
+    const details = network.generations.get(id) ?? { id, assets: new Map() };
+    for (const [field, names] of Object.entries(GENERATION_FIELDS)) {
+      if (details[field] !== undefined) continue;
+      const value = pickField(record, names);
+      if (value !== undefined && typeof value !== 'object') details[field] = value;
+    }
+
+    const found = [];
+    collectAssetUrls(record, '', found);
+    for (const { url, path } of found) {
+      // Previews and posters are never what we want to save.
+      if (/thumb|preview|poster|sprite/i.test(path)) continue;
+      const kind = VIDEO_EXTENSIONS.includes(getUrlExtension(url)) ? 'video' : 'image';
+      // Only the full-size encoding carries the record's own dimensions.
+      const isSource = /(^|\.)(source|src|original)(\.|$)|(^|\.)url$/i.test(path);
+      const hint = parseSizeHint(url);
+      details.assets.set(url, {
+        url,
+        kind,
+        width: (isSource && Number(details.width)) || hint.width || null,
+        height: (isSource && Number(details.height)) || hint.height || null
+      });
+    }
+
+    network.generations.delete(id);
+    network.generations.set(id, details);
+    if (network.generations.size > MAX_TRACKED_GENERATIONS) {
+      network.generations.delete(network.generations.keys().next().value);
     }
-    return null;
   }
 
-  async function waitForMedia() {
-    let fallbackImage = null;
-    for (let attempt = 0; attempt < MEDIA_POLL_ATTEMPTS; attempt += 1) {
-      for (const element of deepCollect(document)) {
-        if (!(element instanceof Element)) continue;
-        if (element.tagName === 'VIDEO') {
-          const candidate = deriveMediaCandidate(element);
-          if (candidate) {
-            return candidate;
-          }
+  function scanApiPayload(root) {
+    const stack = [root];
+    let visited = 0;
+    while (stack.length > 0 && visited < MAX_JSON_NODES) {
+      const value = stack.pop();
+      visited += 1;
+      if (!value || typeof value !== 'object') continue;
+      if (!Array.isArray(value)) {
+        const id = value.id ?? value.generation_id;
+        if (typeof id === 'string' && /^gen_[a-z0-9]+$/i.test(id)) {
+          recordGeneration(value, id);
         }
       }
+      for (const nested of Object.values(value)) {
+        if (nested && typeof nested === 'object') stack.push(nested);
+      }
+    }
+  }
+
+  function inspectResponse(url, contentType, readJson) {
+    if (/json/i.test(contentType)) {
+      readJson()
+        .then((payload) => scanApiPayload(payload))
+        .catch(() => {});
+    } else if (/^(video|image)\//i.test(contentType) && url && looksLikeRealMedia(url)) {
+      network.mediaUrls.add(url);
+    }
+  }
+
+  // Firefox-based managers run the sandboxed script behind Xray wrappers: the
+  // page cannot call a sandbox function unless it is exported, and a plain
+  // assignment through the wrapper is not visible to the page at all.
+  function overridePageFunction(target, name, fn) {
+    if (typeof exportFunction === 'function') {
+      exportFunction(fn, target, { defineAs: name });
+    } else {
+      target[name] = fn;
+    }
+  }
 
-      for (const element of deepCollect(document)) {
-        if (!(element instanceof Element) || element.tagName !== 'IMG') continue;
-        const candidate = deriveMediaCandidate(element);
-        if (candidate) {
-          fallbackImage = fallbackImage || candidate;
+  /**
+   * Watch the page's own fetch and XHR traffic for generation records and
+   * media responses. Needs `@run-at document-start` to see the first requests.
+   */
+  function installNetworkHooks() {
+    const originalFetch = pageWindow.fetch;
+    if (typeof originalFetch === 'function') {
+      overridePageFunction(pageWindow, 'fetch', function (...args) {
+        const pending = originalFetch.apply(this, args);
+        pending
+          .then((response) => {
+            const contentType = response.headers.get('content-type') || '';
+            // Clone before the page gets a chance to consume the body. Only JSON
+            // is read; a cloned media stream would be buffered in full.
+            const copy = /json/i.test(contentType) ? response.clone() : null;
+            inspectResponse(response.url, contentType, () => copy.json());
+          })
+          .catch(() => {});
+        return pending;
+      });
+    }
+
+    const originalSend = pageWindow.XMLHttpRequest.prototype.send;
+    overridePageFunction(pageWindow.XMLHttpRequest.prototype, 'send', function (...args) {
+      this.addEventListener('load', () => {
+        try {
+          const readJson = () =>
+            Promise.resolve(this.responseType === 'json' ? this.response : JSON.parse(this.responseText));
+          inspectResponse(this.responseURL, this.getResponseHeader('content-type') || '', readJson);
+        } catch (error) {
+          // Ignore responses we cannot read, e.g. binary response types.
         }
-      }
+      });
+      return originalSend.apply(this, args);
+    });
+  }
 
-      if (fallbackImage) {
-        return fallbackImage;
-      }
+  /**
+   * Whether a media URL belongs to the generation: recorded with it in the
+   * page's API responses, or carrying its id or task id.
+   * @param {string} url
+   * @param {string | null} genId
+   */
+  function isGenerationAsset(url, genId) {
+    if (!genId) return false;
+    const details = network.generations.get(genId);
+    if (details?.assets.has(url)) return true;
+    const markers = [genId, details?.taskId].filter(Boolean);
+    return markers.some((marker) => url.includes(marker));
+  }
 
-      await new Promise((resolve) => setTimeout(resolve, MEDIA_POLL_INTERVAL));
+  /**
+   * Media of a generation as seen in network traffic, best first.
+   * @param {string} genId
+   */
+  function getNetworkCandidates(genId) {
+    const details = network.generations.get(genId);
+    const candidates = new Map(details?.assets ?? []);
+    for (const url of network.mediaUrls) {
+      if (candidates.has(url) || !isGenerationAsset(url, genId)) continue;
+      addCandidate(candidates, url, VIDEO_EXTENSIONS.includes(getUrlExtension(url)) ? 'video' : 'image');
     }
-    throw new Error('Timed out waiting for media to load.');
+    return [...candidates.values()].sort(compareCandidates);
+  }
+
+  function normalizeTimestamp(value) {
+    if (typeof value === 'number') {
+      // API timestamps are usually in seconds.
+      return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+    }
+    if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+      return new Date(value).toISOString();
+    }
+    return undefined;
   }
 
   function extractPromptFromAttributes(element) {
@@ -200,7 +781,8 @@
     'Download with prompt',
     'Sora Saver ready',
     'Ready for another download',
-    'Auto mode detected'
+    'Auto mode detected',
+    'Save every variant'
   ];
 
   function normalizeWhitespace(value) {
@@ -319,47 +901,291 @@
     return kind === 'video' ? 'mp4' : 'webp';
   }
 
-  function triggerDownload(blob, filename) {
-    const url = URL.createObjectURL(blob);
+  function clickDownloadLink(url, filename) {
     const link = document.createElement('a');
     link.href = url;
     link.download = filename;
     document.body.append(link);
     link.click();
     link.remove();
+  }
+
+  // Plain links cannot create folders, so paths with a subfolder go through
+  // GM_download. Tampermonkey and Violentmonkey only keep the folders when
+  // their download mode is set to "Browser API" in the manager's settings. If
+  // the manager refuses (e.g. an extension that is not whitelisted), the file
+  // is saved flat with the folders folded into its name.
+  function triggerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
     setTimeout(() => URL.revokeObjectURL(url), 30_000);
+    const flatName = filename.replace(/\//g, '_');
+    if (!filename.includes('/') || typeof GM_download !== 'function') {
+      clickDownloadLink(url, flatName);
+      return;
+    }
+    GM_download({
+      url,
+      name: filename,
+      onerror: (error) => {
+        console.warn(`Sora Saver could not save ${filename} into a subfolder`, error);
+        clickDownloadLink(url, flatName);
+      }
+    });
   }
 
-  async function runDownloadFlow() {
-    const genId = getGenerationId();
-    if (!genId) throw new Error('Could not determine generation id from URL.');
-    updateStatus('Locating media…');
-    const media = await waitForMedia();
-    updateStatus('Capturing prompt…');
-    const prompt = extractPromptText();
-    const sanitizedPrompt = sanitizeForFilename(prompt) || 'asset';
-    const baseName = `${genId}--${sanitizedPrompt}`;
-    const extension = determineExtension(media.url, media.kind);
-    const mediaFileName = `${baseName}.${extension}`;
-    const metaFileName = `${genId}.meta.json`;
+  // Embedded metadata: an XMP packet with the prompt, generation id and source
+  // URL written into the media file itself, so it survives without the sidecar.
+  // PNG gets an iTXt chunk after IHDR, JPEG an APP1 segment at the start,
+  // WebP an `XMP ` chunk (adding VP8X when needed) and MP4/MOV a top-level
+  // XMP `uuid` box at the end, which leaves sample offsets untouched. Other
+  // formats are saved unchanged.
+  const XMP_NAMESPACE = 'https://github.com/override367/SORA-Offline/ns/1.0/';
+  const XMP_MP4_UUID = [0xbe, 0x7a, 0xcf, 0xcb, 0x97, 0xa9, 0x42, 0xe8, 0x9c, 0x71, 0x99, 0x94, 0x91, 0xe3, 0xaf, 0xac];
+  const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+  const textEncoder = new TextEncoder();
+  let crcTable = null;
+
+  function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+  }
+
+  function buildXmpPacket({ genId, prompt, sourceUrl }) {
+    return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:sora="${XMP_NAMESPACE}">
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(prompt)}</rdf:li></rdf:Alt></dc:description>
+      <dc:identifier>${escapeXml(genId)}</dc:identifier>
+      <dc:source>${escapeXml(sourceUrl)}</dc:source>
+      <sora:GenerationId>${escapeXml(genId)}</sora:GenerationId>
+      <sora:Prompt>${escapeXml(prompt)}</sora:Prompt>
+      <sora:SourceURL>${escapeXml(sourceUrl)}</sora:SourceURL>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+
+  function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+
+  function readFourCC(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  }
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function embedInPng(bytes, packet) {
+    // Signature (8) + IHDR (4 length + 4 type + 13 data + 4 CRC).
+    if (readFourCC(bytes, 12) !== 'IHDR') return null;
+    const ihdrEnd = 33;
+    const body = concatBytes([
+      textEncoder.encode('iTXtXML:com.adobe.xmp'),
+      new Uint8Array([0, 0, 0, 0, 0]),
+      packet
+    ]);
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length - 4);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, crc32(body));
+    return concatBytes([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)]);
+  }
+
+  function embedInJpeg(bytes, packet) {
+    const payload = concatBytes([textEncoder.encode(JPEG_XMP_HEADER), packet]);
+    if (payload.length + 2 > 0xffff) return null;
+    // JFIF requires its APP0 segment to come first.
+    let insertAt = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+      insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    const segment = new Uint8Array(payload.length + 4);
+    segment.set([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+    segment.set(payload, 4);
+    return concatBytes([bytes.subarray(0, insertAt), segment, bytes.subarray(insertAt)]);
+  }
+
+  function createRiffChunk(type, data) {
+    const padded = data.length + (data.length % 2);
+    const chunk = new Uint8Array(8 + padded);
+    chunk.set(textEncoder.encode(type));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+  }
+
+  // Canvas size and alpha of a simple (VP8 / VP8L) WebP, needed to build VP8X.
+  function readWebpCanvas(bytes) {
+    const type = readFourCC(bytes, 12);
+    const data = 20;
+    if (type === 'VP8 ') {
+      const width = (bytes[data + 6] | (bytes[data + 7] << 8)) & 0x3fff;
+      const height = (bytes[data + 8] | (bytes[data + 9] << 8)) & 0x3fff;
+      return { width, height, alpha: false };
+    }
+    if (type === 'VP8L' && bytes[data] === 0x2f) {
+      const bits = new DataView(bytes.buffer, bytes.byteOffset + data + 1, 4).getUint32(0, true);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: Boolean((bits >>> 28) & 1) };
+    }
+    return null;
+  }
+
+  function embedInWebp(bytes, packet) {
+    for (let offset = 12; offset + 8 <= bytes.length; ) {
+      if (readFourCC(bytes, offset) === 'XMP ') return null;
+      const size = new DataView(bytes.buffer, bytes.byteOffset + offset + 4, 4).getUint32(0, true);
+      offset += 8 + size + (size % 2);
+    }
+    let body = bytes.subarray(12);
+    if (readFourCC(bytes, 12) === 'VP8X') {
+      body = body.slice();
+      body[8] |= 0x04;
+    } else {
+      const canvas = readWebpCanvas(bytes);
+      if (!canvas) return null;
+      const vp8x = new Uint8Array(10);
+      vp8x[0] = 0x04 | (canvas.alpha ? 0x10 : 0);
+      const view = new DataView(vp8x.buffer);
+      view.setUint16(4, (canvas.width - 1) & 0xffff, true);
+      vp8x[6] = ((canvas.width - 1) >> 16) & 0xff;
+      view.setUint16(7, (canvas.height - 1) & 0xffff, true);
+      vp8x[9] = ((canvas.height - 1) >> 16) & 0xff;
+      body = concatBytes([createRiffChunk('VP8X', vp8x), body]);
+    }
+    const result = concatBytes([bytes.subarray(0, 12), body, createRiffChunk('XMP ', packet)]);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+  }
 
-    updateStatus('Downloading media…');
-    let mediaResponse;
+  // Videos can be large, so only the top-level box headers are read and the
+  // new box is appended to the original blob without copying it.
+  async function embedInMp4(blob, packet) {
+    for (let offset = 0; offset + 8 <= blob.size; ) {
+      const header = new DataView(await blob.slice(offset, offset + 16).arrayBuffer());
+      let size = header.getUint32(0);
+      if (size === 1 && header.byteLength >= 16) size = Number(header.getBigUint64(8));
+      // A box running to the end of the file cannot be followed by another one.
+      if (size < 8) return null;
+      offset += size;
+    }
+    const box = new Uint8Array(24 + packet.length);
+    new DataView(box.buffer).setUint32(0, box.length);
+    box.set(textEncoder.encode('uuid'), 4);
+    box.set(XMP_MP4_UUID, 8);
+    box.set(packet, 24);
+    return new Blob([blob, box], { type: blob.type });
+  }
+
+  /**
+   * Write prompt, generation id and source URL into the media file. Returns
+   * the original blob for formats that cannot carry the packet.
+   * @param {Blob} blob
+   * @param {{ genId: string, prompt: string, sourceUrl: string }} fields
+   * @returns {Promise<Blob>}
+   */
+  async function embedMetadata(blob, fields) {
+    try {
+      const head = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+      const packet = textEncoder.encode(buildXmpPacket(fields));
+      if (readFourCC(head, 4) === 'ftyp') {
+        return (await embedInMp4(blob, packet)) ?? blob;
+      }
+      let embed = null;
+      if (head[0] === 0x89 && readFourCC(head, 1) === 'PNG\r') {
+        embed = embedInPng;
+      } else if (head[0] === 0xff && head[1] === 0xd8) {
+        embed = embedInJpeg;
+      } else if (readFourCC(head, 0) === 'RIFF' && readFourCC(head, 8) === 'WEBP') {
+        embed = embedInWebp;
+      }
+      if (!embed) return blob;
+      const embedded = embed(new Uint8Array(await blob.arrayBuffer()), packet);
+      return embedded ? new Blob([embedded], { type: blob.type }) : blob;
+    } catch (error) {
+      console.warn('Sora Saver could not embed metadata; saving the file unchanged', error);
+      return blob;
+    }
+  }
+
+  async function fetchMediaBlob(url) {
+    let response;
     try {
-      mediaResponse = await fetch(media.url, {
+      response = await fetch(url, {
         mode: 'cors',
         credentials: 'omit'
       });
     } catch (networkError) {
       console.warn('Initial media fetch failed, retrying without explicit CORS options.', networkError);
-      mediaResponse = await fetch(media.url);
+      response = await fetch(url);
     }
+    if (!response.ok) {
+      throw new Error(`Failed to download media (${response.status}).`);
+    }
+    return response.blob();
+  }
+
+  async function runDownloadFlow() {
+    const genId = getGenerationId();
+    if (!genId) throw new Error('Could not determine generation id from URL.');
+    updateStatus('Locating media…');
+    const candidates = await waitForMedia(genId, {
+      preferBest: state.settings.mediaChoice !== 'first',
+      timeoutMs: state.settings.mediaTimeout * 1000
+    });
+    const selected = selectMedia(candidates, { allVariants: state.settings.downloadAllVariants, genId });
+    const [media] = selected;
+    reportToHarvest('media-found', { kind: media.kind, variants: selected.length });
+    updateStatus('Capturing prompt…');
+    const details = network.generations.get(genId);
+    const networkPrompt = typeof details?.prompt === 'string' ? details.prompt.trim() : '';
+    const prompt = networkPrompt || extractPromptText();
+    const sanitizedPrompt = sanitizeForFilename(prompt) || 'asset';
+    const tokens = { id: genId, prompt, date: formatDateToken(details?.createdAt) };
+    const baseName = renderFilename(state.settings.filenameTemplate, { ...tokens, kind: media.kind, index: 1 });
+    // The sidecar goes next to the media so a subfolder keeps both together.
+    const folder = baseName.includes('/') ? baseName.slice(0, baseName.lastIndexOf('/') + 1) : '';
+    const metaFileName = `${folder}${genId}.meta.json`;
 
-    if (!mediaResponse.ok) {
-      throw new Error(`Failed to download media (${mediaResponse.status}).`);
+    const downloads = [];
+    for (const [index, variant] of selected.entries()) {
+      const extension = determineExtension(variant.url, variant.kind);
+      const suffix = selected.length > 1 ? `--v${index + 1}` : '';
+      const path = renderFilename(state.settings.filenameTemplate, {
+        ...tokens,
+        kind: variant.kind,
+        index: index + 1,
+        variant: suffix
+      });
+      const fileName = `${path}.${extension}`;
+      updateStatus(selected.length > 1 ? `Downloading variant ${index + 1} of ${selected.length}…` : 'Downloading media…');
+      let blob = await fetchMediaBlob(variant.url);
+      if (state.settings.embedMetadata) {
+        blob = await embedMetadata(blob, { genId, prompt, sourceUrl: window.location.href });
+      }
+      triggerDownload(blob, fileName);
+      downloads.push({ variant, fileName });
     }
-    const mediaBlob = await mediaResponse.blob();
-    triggerDownload(mediaBlob, mediaFileName);
 
     const meta = {
       GenerationId: genId,
@@ -368,22 +1194,131 @@
       Prompt: prompt,
       Title: sanitizedPrompt.replace(/_/g, ' ').slice(0, 80) || genId,
       Kind: media.kind,
-      SuggestedBaseName: baseName
+      Width: media.width ?? (Number(details?.width) || null),
+      Height: media.height ?? (Number(details?.height) || null),
+      SuggestedBaseName: baseName.slice(folder.length),
+      PromptSource: networkPrompt ? 'api' : 'page'
     };
-    const metaBlob = new Blob([JSON.stringify(meta, null, 2)], { type: 'application/json' });
-    triggerDownload(metaBlob, metaFileName);
+    if (details) {
+      const extra = {
+        Duration: Number(details.duration) || undefined,
+        Model: details.model,
+        Seed: details.seed,
+        RemixParent: details.remixParent,
+        CreatedAt: normalizeTimestamp(details.createdAt),
+        TaskId: details.taskId
+      };
+      for (const [key, value] of Object.entries(extra)) {
+        if (value !== undefined) meta[key] = value;
+      }
+    }
+    if (downloads.length > 1) {
+      meta.Variants = downloads.map(({ variant, fileName }) => ({
+        AssetURL: variant.url,
+        FileName: fileName,
+        Width: variant.width,
+        Height: variant.height
+      }));
+    }
+    const files = downloads.map((download) => download.fileName);
+    // The harvest page detects saved items by their meta file, so its tabs always write one.
+    if (state.settings.saveMeta || state.harvestOrigin) {
+      const metaBlob = new Blob([JSON.stringify(meta, null, 2)], { type: 'application/json' });
+      triggerDownload(metaBlob, metaFileName);
+      files.push(metaFileName);
+    }
+    rememberDownload(genId, { assetUrl: media.url, files });
     updateStatus('Downloads complete ✔');
+    reportToHarvest('downloaded', { files });
+  }
+
+  // The download ledger: generation id -> { id, assetUrl, downloadedAt, files }.
+  function loadLedger() {
+    try {
+      return JSON.parse(localStorage.getItem(DOWNLOADS_KEY) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Read afresh each time: harvest tabs save in parallel.
+  function rememberDownload(genId, { assetUrl, files }) {
+    const ledger = loadLedger();
+    ledger[genId] = { id: genId, assetUrl, downloadedAt: Date.now(), files };
+    try {
+      localStorage.setItem(DOWNLOADS_KEY, JSON.stringify(ledger));
+    } catch (error) {
+      console.warn('Sora Saver could not record the download', error);
+    }
+  }
+
+  // The gallery imports this file to tell downloaded items apart from ones never saved.
+  function exportLedger() {
+    const entries = Object.entries(loadLedger()).map(([id, entry]) => ({ ...entry, id }));
+    const payload = {
+      source: HARVEST_MESSAGE_SOURCE,
+      type: 'download-ledger',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+    triggerDownload(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), LEDGER_FILE_NAME);
+    updateStatus(`Exported ${entries.length} ledger ${entries.length === 1 ? 'entry' : 'entries'}`);
   }
 
-  async function handleDownloadRequest() {
+  // Resolves true to download again, false to skip.
+  function confirmRedownload(when) {
+    const banner = ensureBanner();
+    const choice = document.createElement('div');
+    choice.className = 'choice';
+    choice.innerHTML = `
+      <button type="button" data-answer="again">Download again</button>
+      <button type="button" data-answer="skip">Skip</button>
+    `;
+    banner.querySelector('button').after(choice);
+    updateStatus(`Already downloaded on ${when}. Download again?`);
+    return new Promise((resolve) => {
+      choice.addEventListener('click', (event) => {
+        const answer = event.target.closest('[data-answer]')?.dataset.answer;
+        if (!answer) return;
+        choice.remove();
+        resolve(answer === 'again');
+      });
+    });
+  }
+
+  /**
+   * Save the media of the current page. Automatic runs consult the ledger and
+   * skip or ask per the "If already downloaded" setting; a click on the
+   * banner button always saves. Tabs opened by the harvest page never ask,
+   * since nobody is there to answer before the harvest times out.
+   * @param {{ manual?: boolean }} [options]
+   */
+  async function handleDownloadRequest({ manual = false } = {}) {
     try {
       const banner = ensureBanner();
       const button = banner.querySelector('button');
       button.disabled = true;
-      await runDownloadFlow();
+      const previous = manual ? null : loadLedger()[getGenerationId()];
+      const policy = state.settings.whenDownloaded;
+      let skipped = false;
+      if (previous && policy !== 'download') {
+        const when = new Date(previous.downloadedAt).toLocaleString();
+        skipped = policy === 'skip' || Boolean(state.harvestOrigin) || !(await confirmRedownload(when));
+        if (skipped) {
+          updateStatus(`Already downloaded on ${when} — skipped`);
+          reportToHarvest('skipped', { error: `Already downloaded on ${when}; skipped by the userscript settings.` });
+        }
+      }
+      if (!skipped) {
+        reportToHarvest('started');
+        await runDownloadFlow();
+      }
       if (state.autoMode) {
-        updateStatus('Auto mode: closing tab…');
-        setTimeout(() => window.close(), AUTO_CLOSE_DELAY);
+        if (!skipped) updateStatus('Auto mode: closing tab…');
+        setTimeout(() => window.close(), state.settings.autoCloseDelay * 1000);
+      } else if (skipped) {
+        button.disabled = false;
       } else {
         setTimeout(() => {
           button.disabled = false;
@@ -392,14 +1327,288 @@
       }
     } catch (error) {
       console.error('Sora Saver error', error);
-      updateStatus(error instanceof Error ? error.message : String(error));
+      const message = error instanceof Error ? error.message : String(error);
+      updateStatus(message);
+      reportToHarvest('failed', { error: message });
       const banner = ensureBanner();
       const button = banner.querySelector('button');
       button.disabled = false;
     }
   }
 
+  // Library indexer: scrolls the library/profile grid and records every
+  // generation card in the schema of sora_gallery_index.json.
+
+  function loadIndexProgress() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(INDEX_PROGRESS_KEY) || 'null');
+      if (stored && stored.path === window.location.pathname && Array.isArray(stored.entries)) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Sora Saver could not read the saved index progress', error);
+    }
+    return null;
+  }
+
+  function createIndexer(progress) {
+    const entries = new Map();
+    for (const entry of progress?.entries ?? []) {
+      const id = entry?.href?.match(/gen_[a-z0-9]+/i)?.[0];
+      if (id) entries.set(id, entry);
+    }
+    return {
+      entries,
+      running: false,
+      // The latest run's promise and token; see toggleIndexer.
+      loop: null,
+      run: null,
+      finished: Boolean(progress?.finished),
+      scrollY: Number(progress?.scrollY) || 0,
+      startedAt: progress?.startedAt ?? Date.now()
+    };
+  }
+
+  // Only one page's progress is kept; starting on another page replaces it.
+  function saveIndexProgress() {
+    const indexer = state.indexer;
+    try {
+      localStorage.setItem(
+        INDEX_PROGRESS_KEY,
+        JSON.stringify({
+          path: window.location.pathname,
+          startedAt: indexer.startedAt,
+          updatedAt: Date.now(),
+          scrollY: indexer.scrollY,
+          finished: indexer.finished,
+          entries: [...indexer.entries.values()]
+        })
+      );
+    } catch (error) {
+      console.warn('Sora Saver could not save the index progress', error);
+    }
+  }
+
+  // The grid may scroll inside its own container rather than the window.
+  function findScrollContainer() {
+    const root = document.scrollingElement || document.documentElement;
+    if (root.scrollHeight > root.clientHeight + 1) return root;
+    let node = document.querySelector('a[href*="/g/gen_"]')?.parentElement;
+    while (node && node !== document.body) {
+      const overflow = getComputedStyle(node).overflowY;
+      if (/(auto|scroll)/.test(overflow) && node.scrollHeight > node.clientHeight + 1) return node;
+      node = node.parentElement;
+    }
+    return root;
+  }
+
+  // Media of a card may sit inside the link or next to it; stop before
+  // climbing into an element that holds other cards too.
+  function findCardMedia(link) {
+    let node = link;
+    for (let depth = 0; node && depth < 4; depth += 1) {
+      const media = node.querySelector('img, video');
+      if (media) return media;
+      node = node.parentElement;
+      if (node && node.querySelectorAll('a[href*="/g/gen_"]').length > 1) break;
+    }
+    return null;
+  }
+
+  function describeCardMedia(media) {
+    if (!media) return { thumb: null, kind: 'image' };
+    if (media.tagName === 'VIDEO') {
+      const source = media.currentSrc || media.src || media.querySelector('source')?.src || '';
+      return { thumb: media.poster || source || null, kind: 'video' };
+    }
+    const thumb = media.currentSrc || media.src || '';
+    return { thumb: thumb && !thumb.startsWith('data:') ? thumb : null, kind: 'image' };
+  }
+
+  function getSignatureKey(kind, url) {
+    if (!url) return null;
+    return `${kind}|${url.split(/[?#]/)[0]}`;
+  }
+
+  /**
+   * Record the cards currently rendered in the grid.
+   * @returns {number} how many cards were added or gained a thumb or prompt
+   */
+  function collectLibraryCards(scroller) {
+    const entries = state.indexer.entries;
+    const root = document.scrollingElement || document.documentElement;
+    const originTop = scroller === root ? 0 : scroller.getBoundingClientRect().top;
+    let changed = 0;
+    for (const link of document.querySelectorAll('a[href*="/g/gen_"]')) {
+      const id = link.href.match(/gen_[a-z0-9]+/i)?.[0];
+      if (!id) continue;
+      const media = findCardMedia(link);
+      const { thumb, kind } = describeCardMedia(media);
+      const networkPrompt = network.generations.get(id)?.prompt;
+      const prompt =
+        (typeof networkPrompt === 'string' && networkPrompt.trim()) ||
+        (media && (media.getAttribute('alt')?.trim() || extractPromptFromAttributes(media))) ||
+        null;
+      const existing = entries.get(id);
+      if (existing) {
+        if (!existing.thumb && thumb) {
+          existing.thumb = thumb;
+          existing.sigKey = getSignatureKey(kind, thumb);
+          changed += 1;
+        }
+        if (!existing.prompt && prompt) {
+          existing.prompt = prompt;
+          changed += 1;
+        }
+        continue;
+      }
+      const rect = link.getBoundingClientRect();
+      entries.set(id, {
+        thumb,
+        href: new URL(`/g/${id}`, window.location.origin).toString(),
+        scrollY: Math.round(rect.top - originTop + scroller.scrollTop),
+        sigKey: getSignatureKey(kind, thumb),
+        prompt
+      });
+      changed += 1;
+    }
+    return changed;
+  }
+
+  function updateIndexerControls() {
+    const banner = ensureBanner();
+    const indexer = state.indexer;
+    const toggle = banner.querySelector('[data-index-action="toggle"]');
+    if (indexer.running) {
+      toggle.textContent = 'Pause indexing';
+    } else if (indexer.entries.size > 0 && !indexer.finished) {
+      toggle.textContent = 'Resume indexing';
+    } else {
+      toggle.textContent = indexer.finished ? 'Index again' : 'Start indexing';
+    }
+    banner.querySelector('[data-index-action="download"]').disabled = indexer.entries.size === 0;
+    banner.querySelector('[data-index-action="reset"]').disabled = indexer.running || indexer.entries.size === 0;
+  }
+
+  function describeIndexCount() {
+    const count = state.indexer.entries.size;
+    return `${count} ${count === 1 ? 'card' : 'cards'}`;
+  }
+
+  async function runIndexer() {
+    const indexer = state.indexer;
+    if (indexer.finished) {
+      indexer.finished = false;
+      indexer.scrollY = 0;
+      findScrollContainer().scrollTop = 0;
+    }
+    indexer.running = true;
+    updateIndexerControls();
+    // After a crash the grid starts at the top again; jump back to where the
+    // previous run stopped as fast as the page loads more cards.
+    const resumeAt = indexer.scrollY;
+    let idleRounds = 0;
+    while (indexer.running) {
+      if (!isIndexPage()) {
+        indexer.running = false;
+        updateStatus(`Paused: left the library page (${describeIndexCount()} indexed)`);
+        break;
+      }
+      const scroller = findScrollContainer();
+      const changed = collectLibraryCards(scroller);
+      const before = scroller.scrollTop;
+      scroller.scrollTop = Math.max(before + scroller.clientHeight * INDEX_SCROLL_STEP, resumeAt);
+      await new Promise((resolve) => setTimeout(resolve, INDEX_SETTLE_DELAY));
+      const moved = scroller.scrollTop > before;
+      indexer.scrollY = scroller.scrollTop;
+      idleRounds = changed > 0 || moved ? 0 : idleRounds + 1;
+      if (changed > 0) saveIndexProgress();
+      if (idleRounds >= INDEX_IDLE_ROUNDS) {
+        indexer.running = false;
+        indexer.finished = true;
+        updateStatus(`Reached the end — ${describeIndexCount()} indexed ✔`);
+      } else if (indexer.running) {
+        updateStatus(`Indexing… ${describeIndexCount()} so far`);
+      }
+    }
+    saveIndexProgress();
+    updateIndexerControls();
+  }
+
+  function toggleIndexer() {
+    const indexer = state.indexer;
+    if (indexer.running) {
+      indexer.running = false;
+      updateStatus(`Paused — ${describeIndexCount()} indexed`);
+      return;
+    }
+    // A run paused moments ago may still be waiting for the page to settle;
+    // start only once it has exited, and only for the latest Resume click.
+    const run = {};
+    indexer.run = run;
+    const loop = Promise.resolve(indexer.loop)
+      .then(() => (state.indexer === indexer && indexer.run === run ? runIndexer() : undefined))
+      .catch((error) => {
+        console.error('Sora Saver indexer error', error);
+        indexer.running = false;
+        updateStatus(error instanceof Error ? error.message : String(error));
+        updateIndexerControls();
+      })
+      .finally(() => {
+        if (indexer.loop === loop) indexer.loop = null;
+      });
+    indexer.loop = loop;
+  }
+
+  function downloadIndex() {
+    const entries = [...state.indexer.entries.values()];
+    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+    triggerDownload(blob, INDEX_FILE_NAME);
+    updateStatus(`Saved ${INDEX_FILE_NAME} with ${describeIndexCount()}`);
+  }
+
+  function resetIndexer() {
+    if (!window.confirm(`Discard the ${describeIndexCount()} indexed so far?`)) return;
+    try {
+      localStorage.removeItem(INDEX_PROGRESS_KEY);
+    } catch (error) {
+      // Nothing saved to remove.
+    }
+    const previous = state.indexer;
+    previous.running = false;
+    state.indexer = createIndexer(null);
+    state.indexer.loop = previous.loop;
+    findScrollContainer().scrollTop = 0;
+    updateStatus('Index cleared');
+    updateIndexerControls();
+  }
+
+  function bindIndexerControls(banner) {
+    const actions = { toggle: toggleIndexer, download: downloadIndex, reset: resetIndexer };
+    for (const button of banner.querySelectorAll('[data-index-action]')) {
+      button.addEventListener('click', () => actions[button.dataset.indexAction]());
+    }
+  }
+
+  function initIndexer() {
+    state.indexer = createIndexer(loadIndexProgress());
+    ensureBanner();
+    const indexer = state.indexer;
+    if (indexer.entries.size > 0 && !indexer.finished) {
+      updateStatus(`Earlier run stopped at ${describeIndexCount()} — resume to continue`);
+    } else if (indexer.finished) {
+      updateStatus(`Index complete — ${describeIndexCount()}`);
+    } else {
+      updateStatus('Library indexer ready');
+    }
+    updateIndexerControls();
+  }
+
   function init() {
+    if (state.page === 'library') {
+      initIndexer();
+      return;
+    }
     ensureBanner();
     if (state.autoMode) {
       updateStatus('Auto mode detected — saving…');
@@ -407,6 +1616,8 @@
     }
   }
 
+  installNetworkHooks();
+
   if (document.readyState === 'complete' || document.readyState === 'interactive') {
     init();
   } else {